@@ -0,0 +1,76 @@
+// Walrus networks served by the API
+// Each network has its own Sui RPC endpoint and Walrus objects, explorer path,
+// validation limits and epoch schedule.
+const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    rpcUrl: process.env.SUI_RPC_URL || 'https://fullnode.mainnet.sui.io:443',
+    systemObjectId: process.env.WALRUS_SYSTEM_OBJECT_ID || '0x2134d52768ea07e8c43570ef975eb3e4c27a39fa6396bef985b5abc58d03ddd2',
+    stakingObjectId: process.env.WALRUS_STAKING_OBJECT_ID || '0x10b9d30c28448939ce6c4d6c6e0ffce4a7f8a4ada8248bdad09ef8b70e4a3904',
+    // Range a value must fall in for validateDataStrict
+    limits: {
+      price: { min: 1000, max: 100000 },
+      epoch: { min: 1, max: 10000 }
+    },
+    // Storage can be bought at most this many epochs ahead
+    maxEpochsAhead: 53,
+    // Used to project epoch timing when no source reads it from chain. The anchor is
+    // approximate; the sui-rpc source replaces it with on-chain timing whenever it answers.
+    epochSchedule: {
+      durationSeconds: 14 * 86400,
+      anchor: { number: 1, startTime: '2025-03-25T00:00:00Z' }
+    }
+  },
+  testnet: {
+    name: 'testnet',
+    rpcUrl: process.env.SUI_TESTNET_RPC_URL || 'https://fullnode.testnet.sui.io:443',
+    systemObjectId: process.env.WALRUS_TESTNET_SYSTEM_OBJECT_ID || '0x6c2547cbbc38025cf3adac45f63cb0a8d12ecf777cdc75a4971612bf97fdf6af',
+    stakingObjectId: process.env.WALRUS_TESTNET_STAKING_OBJECT_ID || '0xbe46180321c30aab2f8b3501e24048377287fa708018a5b7c2792b35fe339ee3',
+    // Testnet prices are set by a smaller committee and epochs last a day, so both vary more
+    limits: {
+      price: { min: 1, max: 1000000 },
+      epoch: { min: 1, max: 100000 }
+    },
+    maxEpochsAhead: 53,
+    epochSchedule: {
+      durationSeconds: 86400,
+      anchor: { number: 100, startTime: '2025-06-01T00:00:00Z' }
+    }
+  }
+};
+
+const DEFAULT_NETWORK = 'mainnet';
+
+// Networks served, from WALRUS_NETWORKS (comma separated); unknown names are ignored
+const getEnabledNames = (env = process.env) => {
+  const configured = (env.WALRUS_NETWORKS || Object.keys(NETWORKS).join(','))
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => NETWORKS[name]);
+
+  return configured.length > 0 ? Array.from(new Set(configured)) : [DEFAULT_NETWORK];
+};
+
+const isEnabled = (name) => getEnabledNames().includes(name);
+
+// Network used when a request does not name one: mainnet, unless it is switched off
+const getDefaultName = () => (isEnabled(DEFAULT_NETWORK) ? DEFAULT_NETWORK : getEnabledNames()[0]);
+
+// Network config by name, or null when the network is unknown or not served
+const getNetwork = (name = getDefaultName()) => {
+  const key = String(name).toLowerCase();
+  return isEnabled(key) ? NETWORKS[key] : null;
+};
+
+// Cached data is namespaced per dataset and network
+const cacheKey = (name = getDefaultName(), dataset = 'walrus-data') => `${dataset}:${name}`;
+
+module.exports = {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  getEnabledNames,
+  isEnabled,
+  getDefaultName,
+  getNetwork,
+  cacheKey
+};
@@ -0,0 +1,246 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const forensics = require('../utils/forensics');
+const networks = require('../config/networks');
+const scheduler = require('../utils/scheduler');
+const scrapeCoordinator = require('../utils/scrapeCoordinator');
+const snapshotStore = require('../utils/snapshotStore');
+const { QUARANTINE_STATUSES } = require('../utils/snapshotStore');
+
+// Compare keys in constant time; hashing first makes the lengths equal
+const keysMatch = (provided, expected) => {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(provided), hash(expected));
+};
+
+// Admin routes do not exist unless ADMIN_API_KEY is set, and need the key when it is
+router.use((req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return next('router'); // Falls through to the 404 handler
+  }
+
+  const provided = req.get('x-admin-key') || (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!provided || !keysMatch(provided, adminKey)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid admin key is required'
+    });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  next();
+});
+
+// List forensic captures from failed scrapes, newest first
+router.get('/forensics', async (req, res) => {
+  try {
+    const captures = await forensics.list();
+    res.json({
+      success: true,
+      captures,
+      count: captures.length,
+      maxCaptures: forensics.maxCaptures
+    });
+  } catch (error) {
+    console.error('❌ Failed to list forensics:', error.message);
+    res.status(500).json({
+      error: 'Failed to list forensics',
+      message: 'Unable to read forensic captures'
+    });
+  }
+});
+
+// Full capture: error, partial data, console messages and network errors
+router.get('/forensics/:id', async (req, res) => {
+  const capture = await forensics.get(req.params.id);
+  if (!capture) {
+    return res.status(404).json({
+      error: 'Capture not found',
+      message: 'No forensic capture with that id'
+    });
+  }
+
+  res.json({ success: true, capture });
+});
+
+// Download a capture file (screenshot.jpg, page.html, capture.json)
+router.get('/forensics/:id/:file', (req, res) => {
+  const filePath = forensics.getFilePath(req.params.id, req.params.file);
+  if (!filePath) {
+    return res.status(404).json({
+      error: 'File not found',
+      message: 'No such file in that capture'
+    });
+  }
+
+  // Served as an attachment so captured page HTML never renders on this origin
+  res.download(filePath, `${req.params.id}-${req.params.file}`);
+});
+
+// Scrapes in flight, one per network at most
+router.get('/scrapes', (req, res) => {
+  res.json({
+    success: true,
+    scrapes: scrapeCoordinator.getStatus(),
+    maxWaitMs: scrapeCoordinator.maxWaitMs,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Refresh a network now. Joins a scrape already in flight rather than starting a second
+// one. Answers 202 straight away, or waits for the result with ?wait=true.
+router.post('/refresh/:network', async (req, res) => {
+  const network = networks.getNetwork(req.params.network);
+  if (!network) {
+    return res.status(404).json({
+      error: 'Network not found',
+      message: `Available networks: ${networks.getEnabledNames().join(', ')}`
+    });
+  }
+
+  const joined = scrapeCoordinator.isScraping(network.name);
+  const refresh = scheduler.scrapeNetwork(network.name, 'admin');
+  if (req.query.wait !== 'true') {
+    return res.status(202).json({
+      success: true,
+      network: network.name,
+      joined,
+      scrapes: scrapeCoordinator.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const run = await refresh;
+  res.json({
+    success: run.success,
+    network: network.name,
+    joined,
+    outcome: run.outcome || null,
+    quarantined: run.quarantined ?? null,
+    lastRun: run.lastRun,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Cancel a network's scrape; everyone waiting on it gets no data and the cache is kept
+router.delete('/scrapes/:network', (req, res) => {
+  const network = networks.getNetwork(req.params.network);
+  if (!network || !scrapeCoordinator.cancel(network.name)) {
+    return res.status(404).json({
+      error: 'Scrape not found',
+      message: 'No scrape in flight for that network'
+    });
+  }
+
+  res.json({ success: true, network: network.name, cancelled: true, timestamp: new Date().toISOString() });
+});
+
+const quarantineUnavailable = (res) => res.status(503).json({
+  error: 'Quarantine unavailable',
+  message: 'The snapshot store is disabled or could not be opened'
+});
+
+const quarantineFailed = (res, action, error) => {
+  console.error(`❌ Failed to ${action}:`, error.message);
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    message: 'Unable to read or update the quarantine table'
+  });
+};
+
+// Scrapes held back as anomalous, newest first. ?status= defaults to pending; ?network= narrows
+router.get('/quarantine', async (req, res) => {
+  const status = req.query.status || 'pending';
+  if (status !== 'all' && !QUARANTINE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: `status must be one of: ${[...QUARANTINE_STATUSES, 'all'].join(', ')}`
+    });
+  }
+
+  const network = req.query.network ? networks.getNetwork(req.query.network) : null;
+  if (req.query.network && !network) {
+    return res.status(400).json({
+      error: 'Invalid network',
+      message: `Available networks: ${networks.getEnabledNames().join(', ')}`
+    });
+  }
+
+  try {
+    const entries = await snapshotStore.listQuarantined({ network: network?.name, status: status === 'all' ? null : status });
+    if (!entries) return quarantineUnavailable(res);
+
+    res.json({ success: true, status, entries, count: entries.length, timestamp: new Date().toISOString() });
+  } catch (error) {
+    quarantineFailed(res, 'list quarantined scrapes', error);
+  }
+});
+
+const findQuarantined = async (idParam) => {
+  const id = parseInt(idParam, 10);
+  return String(id) === idParam ? snapshotStore.getQuarantined(id) : null;
+};
+
+const quarantinedNotFound = (res) => res.status(404).json({
+  error: 'Quarantined scrape not found',
+  message: 'No quarantined scrape with that id'
+});
+
+const alreadyReviewed = (res, entry) => res.status(409).json({
+  error: 'Already reviewed',
+  message: `Quarantined scrape ${entry.id} has already been reviewed`
+});
+
+// One quarantined scrape with its anomalies and full payload
+router.get('/quarantine/:id', async (req, res) => {
+  try {
+    const entry = await findQuarantined(req.params.id);
+    if (!entry) return quarantinedNotFound(res);
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    quarantineFailed(res, 'read quarantined scrape', error);
+  }
+});
+
+// The values were real: record the snapshot and serve it unless newer data is cached
+router.post('/quarantine/:id/approve', async (req, res) => {
+  try {
+    const entry = await findQuarantined(req.params.id);
+    if (!entry) return quarantinedNotFound(res);
+
+    // Only one review wins, so a concurrent review still gets 409
+    const approved = entry.status === 'pending' && await scheduler.approveQuarantined(entry.id);
+    if (!approved) return alreadyReviewed(res, entry);
+
+    res.json({
+      success: true,
+      entry: approved.entry,
+      snapshotId: approved.snapshotId,
+      served: approved.served,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    quarantineFailed(res, 'approve quarantined scrape', error);
+  }
+});
+
+// The values were wrong: they are kept for reference but never served or recorded
+router.post('/quarantine/:id/reject', async (req, res) => {
+  try {
+    const entry = await findQuarantined(req.params.id);
+    if (!entry) return quarantinedNotFound(res);
+
+    const rejected = entry.status === 'pending' && await snapshotStore.reviewQuarantined(entry.id, 'rejected');
+    if (!rejected) return alreadyReviewed(res, entry);
+
+    console.log(`🗑️ Rejected quarantined ${entry.network} scrape #${entry.id}`);
+    res.json({ success: true, entry: rejected, timestamp: new Date().toISOString() });
+  } catch (error) {
+    quarantineFailed(res, 'reject quarantined scrape', error);
+  }
+});
+
+module.exports = router;
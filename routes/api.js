@@ -2,6 +2,90 @@ const express = require('express');
 const router = express.Router();
 const cache = require('../utils/cache');
 const walrusScraper = require('../scrapers/walrusScraper');
+const provenance = require('../scrapers/provenance');
+const epochClock = require('../scrapers/epochClock');
+const costCalculator = require('../utils/costCalculator');
+const priceFeed = require('../utils/priceFeed');
+const unitFormatter = require('../utils/unitFormatter');
+const snapshotStore = require('../utils/snapshotStore');
+const scheduler = require('../utils/scheduler');
+const scrapeCoordinator = require('../utils/scrapeCoordinator');
+const lastKnownGood = require('../utils/lastKnownGood');
+const estimator = require('../utils/estimator');
+const { HISTORY_METRICS, HISTORY_INTERVALS } = require('../utils/snapshotStore');
+const networks = require('../config/networks');
+
+// Consensus block from multi-source mode - keep only known keys and numeric values
+const sanitizeConsensus = (consensus) => {
+  if (!consensus || typeof consensus !== 'object') {
+    return null;
+  }
+
+  const sanitizeName = (name) => String(name).substring(0, 50);
+  const fields = {};
+
+  Object.entries(consensus.fields || {}).forEach(([field, entry]) => {
+    if (!provenance.PROVENANCE_FIELDS.includes(field)) return;
+    if (!entry || typeof entry.value !== 'number') return;
+
+    const sources = {};
+    Object.entries(entry.sources || {}).forEach(([name, value]) => {
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        sources[sanitizeName(name)] = value;
+      }
+    });
+
+    fields[field] = {
+      value: entry.value,
+      method: entry.method === 'majority' ? 'majority' : 'median',
+      sources,
+      maxDeviation: Number.isFinite(entry.maxDeviation) ? entry.maxDeviation : null,
+      disagreement: Boolean(entry.disagreement)
+    };
+  });
+
+  return {
+    tolerance: Number(consensus.tolerance) || 0,
+    sources: (Array.isArray(consensus.sources) ? consensus.sources : []).slice(0, 20).map(source => ({
+      name: sanitizeName(source.name),
+      ok: Boolean(source.ok),
+      ...(source.dataSource && { dataSource: String(source.dataSource).substring(0, 20) }),
+      ...(source.error && { error: String(source.error).substring(0, 200) })
+    })),
+    fields,
+    disagreements: Object.keys(fields).filter(field => fields[field].disagreement),
+    agreed: Object.values(fields).every(entry => !entry.disagreement)
+  };
+};
+
+// Validation ranges for the staking and network sections
+const SECTION_RANGES = {
+  totalStaked: { min: 1, max: 5e9 },    // WAL, capped at total supply
+  apy: { min: 0, max: 100 },            // percent
+  activeNodes: { min: 1, max: 10000 },
+  committeeSize: { min: 1, max: 10000 },
+  shards: { min: 1, max: 65536 }        // shard ids are u16
+};
+
+const inSectionRange = (key, value) =>
+  typeof value === 'number' && Number.isFinite(value) &&
+  value >= SECTION_RANGES[key].min && value <= SECTION_RANGES[key].max;
+
+// Stored epoch timing: start, duration (up to a year) and where they came from
+const sanitizeEpochTiming = (epoch) => {
+  const start = new Date(epoch.startTime);
+  const duration = epoch.durationSeconds;
+  if (!start.getTime() || !Number.isInteger(duration) || duration <= 0 || duration > 365 * 86400) {
+    return {};
+  }
+
+  return {
+    startTime: start.toISOString(),
+    durationSeconds: duration,
+    timingSource: epochClock.TIMING_SOURCES.includes(epoch.timingSource) ? epoch.timingSource : 'schedule',
+    ...(epoch.changeInProgress && { changeInProgress: true })
+  };
+};
 
 // Input validation and sanitization helper
 const validateAndSanitizeData = (data) => {
@@ -15,6 +99,8 @@ const validateAndSanitizeData = (data) => {
     writePrice: null,
     storageCapacity: null,
     epoch: null,
+    staking: null,
+    network: null,
     dataSource: 'unknown',
     timestamp: new Date().toISOString()
   };
@@ -25,7 +111,8 @@ const validateAndSanitizeData = (data) => {
     sanitized.storagePrice = {
       value: Math.floor(data.storagePrice.value),
       unit: String(data.storagePrice.unit || 'FROST/MiB/EPOCH').substring(0, 50),
-      display: String(data.storagePrice.display || data.storagePrice.value).substring(0, 20)
+      display: String(data.storagePrice.display || data.storagePrice.value).substring(0, 20),
+      provenance: provenance.sanitize(data.storagePrice.provenance)
     };
   }
 
@@ -35,7 +122,8 @@ const validateAndSanitizeData = (data) => {
     sanitized.writePrice = {
       value: Math.floor(data.writePrice.value),
       unit: String(data.writePrice.unit || 'FROST/MiB').substring(0, 50),
-      display: String(data.writePrice.display || data.writePrice.value).substring(0, 20)
+      display: String(data.writePrice.display || data.writePrice.value).substring(0, 20),
+      provenance: provenance.sanitize(data.writePrice.provenance)
     };
   }
 
@@ -57,9 +145,18 @@ const validateAndSanitizeData = (data) => {
       sanitized.storageCapacity.total = Math.floor(data.storageCapacity.total);
     }
 
-    if (data.storageCapacity.display) {
+    // used / total are always TB, so the display is rebuilt from them rather than trusted
+    if (sanitized.storageCapacity.used !== undefined || sanitized.storageCapacity.total !== undefined) {
+      sanitized.storageCapacity.unit = 'TB';
+    }
+    if (sanitized.storageCapacity.used !== undefined && sanitized.storageCapacity.total !== undefined) {
+      sanitized.storageCapacity.display = unitFormatter.formatCapacity(
+        sanitized.storageCapacity.used, sanitized.storageCapacity.total);
+    } else if (data.storageCapacity.display) {
       sanitized.storageCapacity.display = String(data.storageCapacity.display).substring(0, 100);
     }
+
+    sanitized.storageCapacity.provenance = provenance.sanitize(data.storageCapacity.provenance);
   }
 
   // Validate epoch
@@ -67,12 +164,48 @@ const validateAndSanitizeData = (data) => {
       data.epoch.number > 0 && data.epoch.number < 100000) {
     sanitized.epoch = {
       number: Math.floor(data.epoch.number),
-      display: `Epoch ${Math.floor(data.epoch.number)}`
+      display: `Epoch ${Math.floor(data.epoch.number)}`,
+      ...sanitizeEpochTiming(data.epoch),
+      provenance: provenance.sanitize(data.epoch.provenance)
     };
   }
 
+  // Validate staking section - each component is dropped on its own when out of range
+  if (data.staking && typeof data.staking === 'object') {
+    const staking = {};
+
+    if (inSectionRange('totalStaked', data.staking.totalStaked)) {
+      staking.totalStaked = Math.floor(data.staking.totalStaked);
+      staking.totalStakedDisplay = `${staking.totalStaked.toLocaleString('en-US')} WAL`;
+    }
+
+    if (inSectionRange('apy', data.staking.apy)) {
+      staking.apy = parseFloat(data.staking.apy.toFixed(2));
+      staking.apyDisplay = `${staking.apy}%`;
+    }
+
+    if (Object.keys(staking).length > 0) {
+      sanitized.staking = { ...staking, provenance: provenance.sanitize(data.staking.provenance) };
+    }
+  }
+
+  // Validate network section (node, committee and shard counts)
+  if (data.network && typeof data.network === 'object') {
+    const network = {};
+
+    ['activeNodes', 'committeeSize', 'shards'].forEach(key => {
+      if (inSectionRange(key, data.network[key])) {
+        network[key] = Math.floor(data.network[key]);
+      }
+    });
+
+    if (Object.keys(network).length > 0) {
+      sanitized.network = { ...network, provenance: provenance.sanitize(data.network.provenance) };
+    }
+  }
+
   // Validate data source
-  if (data.dataSource && ['realtime', 'fallback', 'cached'].includes(data.dataSource)) {
+  if (data.dataSource && ['realtime', 'fallback', 'cached', 'estimated'].includes(data.dataSource)) {
     sanitized.dataSource = data.dataSource;
   }
 
@@ -81,100 +214,399 @@ const validateAndSanitizeData = (data) => {
     sanitized.timestamp = new Date(data.timestamp).toISOString();
   }
 
+  // Fields filled from an earlier observation keep their marker; never-observed ones are listed
+  provenance.PROVENANCE_FIELDS.forEach(field => {
+    if (sanitized[field] && data[field]?.inherited === true) {
+      sanitized[field].inherited = true;
+    }
+  });
+  if (Array.isArray(data.unavailable)) {
+    sanitized.unavailable = provenance.CORE_FIELDS.filter(field => !sanitized[field] && data.unavailable.includes(field));
+  }
+
+  // Keep per-source comparison when the data came from consensus mode
+  const consensus = sanitizeConsensus(data.consensus);
+  if (consensus) {
+    sanitized.consensus = consensus;
+  }
+
   return sanitized;
 };
 
-// Get Walrus data (cached) - with enhanced validation and fallback data
-router.get('/walrus-data', async (req, res) => {
-  const startTime = Date.now();
-  
-  try {
-    // Check cache first
-    let cachedData = cache.get('walrus-data');
-    
-    if (cachedData) {
-      // Validate cached data
-      cachedData = validateAndSanitizeData(cachedData);
-      if (cachedData) {
-        console.log('📦 Serving validated data from cache');
-        return res.json({
-          success: true,
-          data: cachedData,
-          source: 'cache',
-          timestamp: new Date().toISOString(),
-          responseTime: `${Date.now() - startTime}ms`
-        });
-      } else {
-        console.log('⚠️ Cached data failed validation, clearing cache');
-        cache.delete('walrus-data');
-      }
-    }
+// Network from /api/:network/... or ?network=, defaulting to mainnet
+const resolveNetwork = (req, res, next) => {
+  const fromPath = req.params.network;
+  const requested = fromPath ?? req.query.network;
 
-    // If no valid cache, try to scrape fresh data
-    console.log('🔍 Cache miss - fetching fresh data');
-    let freshData = await walrusScraper.scrapeWalrusData();
-    
-    if (freshData) {
-      // Validate and sanitize scraped data
-      freshData = validateAndSanitizeData(freshData);
-      
-      if (freshData && walrusScraper.validateDataStrict(freshData)) {
-        // Cache the validated fresh data for 24 hours
-        cache.set('walrus-data', freshData, 86400);
-        console.log('✅ Fresh data validated and cached');
-        
-        return res.json({
-          success: true,
-          data: freshData,
-          source: 'fresh',
-          timestamp: new Date().toISOString(),
-          responseTime: `${Date.now() - startTime}ms`
-        });
-      } else {
-        console.log('❌ Fresh data failed validation');
-      }
+  const network = requested === undefined
+    ? networks.getNetwork()
+    : typeof requested === 'string' ? networks.getNetwork(requested) : null;
+
+  if (network) {
+    req.network = network;
+    return next();
+  }
+
+  // An unknown path segment is just an unknown endpoint
+  if (fromPath) {
+    return next('route');
+  }
+
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid network',
+    message: `Supported networks: ${networks.getEnabledNames().join(', ')}`,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Optional ?currency= for fiat values; unsupported currencies are rejected
+const resolveCurrency = (req, res, next) => {
+  const requested = req.query.currency;
+  if (requested === undefined) {
+    return next();
+  }
+
+  const currency = typeof requested === 'string' ? requested.trim().toLowerCase() : '';
+  if (priceFeed.isSupported(currency)) {
+    req.currency = currency;
+    return next();
+  }
+
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid currency',
+    message: `Supported currencies: ${priceFeed.currencies.join(', ')}`,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Optional unit and locale options (?priceUnit=, ?sizeUnit=, ?period=, ?capacityUnit=, ?locale=)
+const resolveUnits = (req, res, next) => {
+  const { options, error } = unitFormatter.parseOptions(req.query);
+  if (!error) {
+    req.units = options;
+    return next();
+  }
+
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid unit option',
+    message: error,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// WAL rate for the requested currency. `fiat` describes it for the response; a feed
+// failure leaves fiat values out instead of failing the request.
+const loadFiatRate = async (currency) => {
+  if (!currency) {
+    return { rate: null, fiat: null };
+  }
+
+  const rate = await priceFeed.getRate(currency);
+  return {
+    rate,
+    fiat: rate
+      ? { currency, rate: rate.rate, source: rate.source, fetchedAt: rate.fetchedAt }
+      : { currency, rate: null, error: 'Price feed unavailable - fiat values omitted' }
+  };
+};
+
+// Add a fiat block to storagePrice / writePrice (FROST values)
+const withPriceFiat = (data, rate) => {
+  if (!rate) return data;
+
+  const priced = { ...data };
+  ['storagePrice', 'writePrice'].forEach(field => {
+    if (priced[field]?.value) {
+      priced[field] = { ...priced[field], fiat: priceFeed.convert(priced[field].value, rate) };
     }
+  });
+  return priced;
+};
 
-    // Fallback: Return static data with warning if scraping fails
-    console.log('⚠️ Scraping failed, using fallback data');
-    const fallbackData = {
-      storagePrice: {
-        value: 11000,
-        unit: 'FROST/MiB/EPOCH',
-        display: '11,000'
-      },
-      writePrice: {
-        value: 20000,
-        unit: 'FROST/MiB',
-        display: '20,000'
-      },
-      storageCapacity: {
-        used: 644,
-        total: 4167,
-        percentage: 15.46,
-        display: '644 / 4,167 TB',
-        usedDisplay: '644 TB',
-        totalDisplay: '4,167 TB',
-        percentageDisplay: '15.46%'
-      },
-      epoch: {
-        number: 150,
-        display: 'Epoch 150'
-      },
-      dataSource: 'fallback',
-      timestamp: new Date().toISOString()
+// Add a fiat block to each { frost } amount of a cost quote
+const withCostFiat = (costs, rate) => {
+  if (!rate) return costs;
+
+  const priced = { ...costs };
+  ['writeCost', 'storageCost', 'totalCost'].forEach(field => {
+    priced[field] = { ...priced[field], fiat: priceFeed.convert(priced[field].frost, rate) };
+  });
+  return priced;
+};
+
+// Add a `converted` block in the requested units to prices and capacity. The storage
+// price is per epoch, so a per-year figure needs the epoch length.
+const withDataUnits = (data, units, network) => {
+  if (!units) return data;
+
+  const epochSeconds = data.epoch?.durationSeconds || network.epochSchedule.durationSeconds;
+  const converted = { ...data };
+  if (converted.storagePrice?.value) {
+    converted.storagePrice = {
+      ...converted.storagePrice,
+      converted: unitFormatter.convertPrice(converted.storagePrice.value, units, epochSeconds)
     };
+  }
+  if (converted.writePrice?.value) {
+    converted.writePrice = {
+      ...converted.writePrice,
+      converted: unitFormatter.convertPrice(converted.writePrice.value, units)
+    };
+  }
+  if (converted.storageCapacity) {
+    converted.storageCapacity = {
+      ...converted.storageCapacity,
+      converted: unitFormatter.convertCapacity(converted.storageCapacity, units)
+    };
+  }
+  return converted;
+};
+
+// Add a `converted` block in the requested price unit to each { frost } amount
+const withCostUnits = (costs, units) => {
+  if (!units) return costs;
+
+  const converted = { ...costs };
+  ['writeCost', 'storageCost', 'totalCost'].forEach(field => {
+    converted[field] = { ...converted[field], converted: unitFormatter.convertAmount(converted[field].frost, units) };
+  });
+  return converted;
+};
+
+// Storage node directory query options
+const NODE_SORT_FIELDS = ['stake', 'commission', 'shards', 'name'];
+const NODE_PAGE_SIZE = { default: 25, max: 100 };
+const NODE_ID_PATTERN = /^0x[0-9a-f]{1,64}$/;
+
+// Directory entry - keep only known keys with sane values
+const sanitizeNode = (node) => {
+  if (!node || typeof node.id !== 'string' || !NODE_ID_PATTERN.test(node.id.toLowerCase())) {
+    return null;
+  }
 
-    // Cache fallback data for 1 hour
-    cache.set('walrus-data', fallbackData, 3600);
+  const stake = typeof node.stake === 'number' && node.stake >= 0 ? Math.floor(node.stake) : null;
+  const commission = typeof node.commission === 'number' && node.commission >= 0 && node.commission <= 100
+    ? node.commission : null;
+
+  return {
+    id: node.id.toLowerCase(),
+    name: node.name ? String(node.name).substring(0, 100) : null,
+    operator: typeof node.operator === 'string' && NODE_ID_PATTERN.test(node.operator) ? node.operator : null,
+    stake,
+    stakeDisplay: stake === null ? null : `${stake.toLocaleString('en-US')} WAL`,
+    commission,
+    commissionDisplay: commission === null ? null : `${commission}%`,
+    shards: Number.isInteger(node.shards) && node.shards >= 0 ? node.shards : 0,
+    inCommittee: Boolean(node.inCommittee),
+    endpoint: node.endpoint ? String(node.endpoint).substring(0, 200) : null,
+    state: String(node.state || 'unknown').substring(0, 20)
+  };
+};
+
+// Parse sorting, filtering and pagination query parameters; returns { error } on bad input
+const parseNodeQuery = (query) => {
+  const single = (name) => (typeof query[name] === 'string' ? query[name].trim() : undefined);
+  const options = { sort: 'stake', order: 'desc', page: 1, limit: NODE_PAGE_SIZE.default };
+
+  // Numbers sort largest first and names alphabetically unless ?order= says otherwise
+  const sort = single('sort');
+  if (sort) {
+    if (!NODE_SORT_FIELDS.includes(sort)) {
+      return { error: `sort must be one of: ${NODE_SORT_FIELDS.join(', ')}` };
+    }
+    options.sort = sort;
+    options.order = sort === 'name' ? 'asc' : 'desc';
+  }
+
+  const order = single('order');
+  if (order) {
+    if (!['asc', 'desc'].includes(order)) {
+      return { error: 'order must be asc or desc' };
+    }
+    options.order = order;
+  }
+
+  const numbers = { minStake: [0, Infinity], maxCommission: [0, 100], minShards: [0, 65536] };
+  for (const [name, [min, max]] of Object.entries(numbers)) {
+    const raw = single(name);
+    if (raw === undefined) continue;
+    const value = Number(raw);
+    if (raw === '' || !Number.isFinite(value) || value < min || value > max) {
+      return { error: `${name} must be a number between ${min} and ${max}` };
+    }
+    options[name] = value;
+  }
+
+  const integers = { page: [1, 10000], limit: [1, NODE_PAGE_SIZE.max] };
+  for (const [name, [min, max]] of Object.entries(integers)) {
+    const raw = single(name);
+    if (raw === undefined) continue;
+    const value = Number(raw);
+    if (!/^\d+$/.test(raw) || value < min || value > max) {
+      return { error: `${name} must be an integer between ${min} and ${max}` };
+    }
+    options[name] = value;
+  }
+
+  const committee = single('committee');
+  if (committee !== undefined) {
+    if (!['true', 'false'].includes(committee)) {
+      return { error: 'committee must be true or false' };
+    }
+    options.committee = committee === 'true';
+  }
+
+  const state = single('state');
+  if (state !== undefined) {
+    if (!/^[a-z]{1,20}$/.test(state)) {
+      return { error: 'state must be a pool state such as active or withdrawing' };
+    }
+    options.state = state;
+  }
 
+  // Case-insensitive match on name, ID, operator or endpoint
+  const search = single('search');
+  if (search) {
+    options.search = search.substring(0, 100).toLowerCase();
+  }
+
+  return { options };
+};
+
+// Filter, sort and page the directory
+const queryNodes = (nodes, options) => {
+  const filtered = nodes.filter(node =>
+    (options.minStake === undefined || (node.stake ?? 0) >= options.minStake) &&
+    (options.maxCommission === undefined || (node.commission !== null && node.commission <= options.maxCommission)) &&
+    (options.minShards === undefined || node.shards >= options.minShards) &&
+    (options.committee === undefined || node.inCommittee === options.committee) &&
+    (options.state === undefined || node.state === options.state) &&
+    (!options.search || [node.name, node.id, node.operator, node.endpoint]
+      .some(value => value && value.toLowerCase().includes(options.search)))
+  );
+
+  const direction = options.order === 'asc' ? 1 : -1;
+  filtered.sort((a, b) => {
+    const left = a[options.sort];
+    const right = b[options.sort];
+    // Missing values always go last
+    if (left === null || left === undefined) return right === null || right === undefined ? 0 : 1;
+    if (right === null || right === undefined) return -1;
+    const compared = typeof left === 'string' ? left.localeCompare(right) : left - right;
+    return compared * direction || a.id.localeCompare(b.id);
+  });
+
+  const start = (options.page - 1) * options.limit;
+  return {
+    nodes: filtered.slice(start, start + options.limit),
+    pagination: {
+      page: options.page,
+      limit: options.limit,
+      total: filtered.length,
+      pages: Math.ceil(filtered.length / options.limit)
+    }
+  };
+};
+
+// Node directory from cache. On a miss directory is null and a background refresh is
+// started; revalidating is false while refreshes are held back after a failure.
+const loadNodeDirectory = (network) => {
+  const cached = cache.get(networks.cacheKey(network.name, 'nodes'));
+  if (cached) {
+    return { directory: cached, source: 'cache' };
+  }
+
+  // Like loadWalrusData, never wait on a scrape: fetch in the background and answer 503
+  console.log(`🔍 Node directory cache miss - ${network.name} storage nodes are fetched in the background`);
+  return { directory: null, revalidating: scheduler.revalidateNodes(network.name) };
+};
+
+const nodeDirectoryUnavailable = (res, network, revalidating) => res.status(503).json({
+  success: false,
+  network: network.name,
+  error: 'Node directory unavailable',
+  message: revalidating
+    ? 'Storage nodes are being fetched - try again shortly'
+    : 'No source could list storage nodes - try again later',
+  revalidating,
+  timestamp: new Date().toISOString()
+});
+
+// List the networks this API serves
+router.get('/networks', (req, res) => {
+  res.json({
+    success: true,
+    networks: networks.getEnabledNames(),
+    default: networks.getDefaultName(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Walrus data for a network, never waiting on a scrape (stale-while-revalidate). Cached
+// data is served even when stale, with a background refresh started; with nothing cached
+// the last known value of each field is served while the first scrape runs.
+const loadWalrusData = async (network) => {
+  const cacheKey = networks.cacheKey(network.name);
+
+  // Check cache first
+  let cachedData = cache.get(cacheKey);
+
+  if (cachedData) {
+    // Validate cached data
+    cachedData = validateAndSanitizeData(cachedData);
+    if (cachedData) {
+      const stale = !scheduler.isFresh(network.name);
+      const revalidating = stale && scheduler.revalidate(network.name);
+      console.log(`📦 Serving validated ${stale ? 'stale ' : ''}${network.name} data from cache`);
+      return { data: cachedData, source: 'cache', stale, age: cache.getAge(cacheKey), revalidating };
+    }
+    console.log('⚠️ Cached data failed validation, clearing cache');
+    cache.delete(cacheKey);
+  }
+
+  // Nothing usable cached: answer now, and let the background refresh fill the cache
+  console.log(`🔍 Cache miss - serving last known ${network.name} values while refreshing`);
+  const revalidating = scheduler.revalidate(network.name);
+
+  // Fields never observed are estimated where history allows (the epoch always can be)
+  const data = await estimator.fill(network, validateAndSanitizeData(await lastKnownGood.build(network.name)));
+
+  return {
+    data,
+    source: 'fallback',
+    stale: false,
+    revalidating,
+    warning: revalidating
+      ? 'Using last known values - fresh data is being fetched in the background'
+      : 'Using last known values - scraping temporarily unavailable'
+  };
+};
+
+// Get Walrus data (cached) - with enhanced validation and fallback data
+router.get(['/walrus-data', '/:network/walrus-data'], resolveNetwork, resolveCurrency, resolveUnits, async (req, res) => {
+  const startTime = Date.now();
+  const network = req.network;
+
+  try {
+    const { data, source, stale, age, revalidating, warning } = await loadWalrusData(network);
+    const { rate, fiat } = await loadFiatRate(req.currency);
+
+    // Epoch progress and countdown are computed per request, not cached
     return res.json({
       success: true,
-      data: fallbackData,
-      source: 'fallback',
+      network: network.name,
+      data: { ...withDataUnits(withPriceFiat(data, rate), req.units, network), epoch: epochClock.describe(data.epoch) },
+      ...(fiat && { fiat }),
+      source,
+      stale,
+      ...(age !== undefined && { age }),
+      ...(revalidating && { revalidating: true }),
       timestamp: new Date().toISOString(),
       responseTime: `${Date.now() - startTime}ms`,
-      warning: 'Using fallback data - scraping temporarily unavailable'
+      ...(warning && { warning })
     });
 
   } catch (error) {
@@ -185,6 +617,7 @@ router.get('/walrus-data', async (req, res) => {
     
     res.status(500).json({
       success: false,
+      network: network.name,
       error: 'Internal server error',
       timestamp: new Date().toISOString(),
       responseTime: `${Date.now() - startTime}ms`
@@ -192,30 +625,521 @@ router.get('/walrus-data', async (req, res) => {
   }
 });
 
+// Current epoch timing: start, projected end, progress and time remaining
+router.get(['/epoch', '/:network/epoch'], resolveNetwork, async (req, res) => {
+  const network = req.network;
 
+  try {
+    const { data, source, warning } = await loadWalrusData(network);
+
+    res.json({
+      success: true,
+      network: network.name,
+      epoch: epochClock.describe(data.epoch) || null,
+      source,
+      timestamp: new Date().toISOString(),
+      ...(warning && { warning })
+    });
+  } catch (error) {
+    console.error('❌ Error in /epoch:', error.message);
+    res.status(500).json({
+      success: false,
+      network: network.name,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Everything needed to reproduce a cost quote
+const buildPricingSnapshot = (data, shards) => ({
+  storagePrice: { value: data.storagePrice.value, unit: data.storagePrice.unit, provenance: data.storagePrice.provenance },
+  writePrice: { value: data.writePrice.value, unit: data.writePrice.unit, provenance: data.writePrice.provenance },
+  shards,
+  epoch: data.epoch?.number ?? null,
+  dataSource: data.dataSource,
+  dataTimestamp: data.timestamp
+});
+
+const pricesUnavailable = (res, network) => res.status(503).json({
+  success: false,
+  network: network.name,
+  error: 'Prices unavailable',
+  timestamp: new Date().toISOString()
+});
+
+// Entries per batch quote; one batch counts as a single request against the rate limit
+const COST_BATCH_MAX_ENTRIES = parseInt(process.env.COST_BATCH_MAX_ENTRIES, 10) || 10000;
+
+// Quote the cost of storing a blob for a number of epochs at the current prices
+router.post(['/cost-estimate', '/:network/cost-estimate'], resolveNetwork, resolveCurrency, resolveUnits, async (req, res) => {
+  const network = req.network;
+  const invalid = (message) => res.status(400).json({
+    success: false,
+    network: network.name,
+    error: 'Invalid request',
+    message,
+    timestamp: new Date().toISOString()
+  });
+
+  const { size, epochs } = req.body || {};
+  const input = costCalculator.validateQuote({ size, epochs }, { maxEpochs: network.maxEpochsAhead });
+  if (input.error) {
+    return invalid(input.error);
+  }
+
+  try {
+    const { data, source, warning } = await loadWalrusData(network);
+    if (!data.storagePrice || !data.writePrice) {
+      return pricesUnavailable(res, network);
+    }
+
+    const shards = data.network?.shards || costCalculator.DEFAULT_SHARDS;
+    const maxBlobSize = costCalculator.getMaxBlobSize(shards);
+    if (input.bytes > maxBlobSize) {
+      return invalid(`size exceeds the maximum blob size of ${costCalculator.formatBytes(maxBlobSize)}`);
+    }
+
+    const estimate = costCalculator.estimate({
+      bytes: input.bytes,
+      epochs: input.epochs,
+      storagePrice: data.storagePrice.value,
+      writePrice: data.writePrice.value,
+      shards
+    });
+    const { rate, fiat } = await loadFiatRate(req.currency);
+
+    res.json({
+      success: true,
+      network: network.name,
+      estimate: withCostUnits(withCostFiat(estimate, rate), req.units),
+      pricing: { ...buildPricingSnapshot(data, shards), ...(fiat && { fiat }) },
+      source,
+      timestamp: new Date().toISOString(),
+      ...(warning && { warning })
+    });
+  } catch (error) {
+    console.error('❌ Error in /cost-estimate:', error.message);
+    res.status(500).json({
+      success: false,
+      network: network.name,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Quote a whole upload manifest: JSON { entries: [{ id, sizeBytes, epochs }] } or a CSV body.
+// Bad rows are reported one by one; every row is priced from the same snapshot.
+router.post(['/cost-estimate/batch', '/:network/cost-estimate/batch'], resolveNetwork, resolveCurrency, resolveUnits,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+    const network = req.network;
+    const invalid = (message) => res.status(400).json({
+      success: false,
+      network: network.name,
+      error: 'Invalid request',
+      message,
+      timestamp: new Date().toISOString()
+    });
+
+    let entries;
+    if (typeof req.body === 'string') {
+      entries = costCalculator.parseManifestCsv(req.body);
+    } else if (Array.isArray(req.body?.entries)) {
+      entries = req.body.entries.map((entry, index) => ({
+        row: index + 1,
+        id: entry?.id,
+        sizeBytes: entry?.sizeBytes,
+        epochs: entry?.epochs
+      }));
+    } else {
+      return invalid('Send { "entries": [{ "id", "sizeBytes", "epochs" }] } as JSON, or a CSV body with Content-Type text/csv');
+    }
+
+    if (entries.length === 0) {
+      return invalid('No entries to quote');
+    }
+    if (entries.length > COST_BATCH_MAX_ENTRIES) {
+      return invalid(`At most ${COST_BATCH_MAX_ENTRIES} entries per batch`);
+    }
+
+    try {
+      const { data, source, warning } = await loadWalrusData(network);
+      if (!data.storagePrice || !data.writePrice) {
+        return pricesUnavailable(res, network);
+      }
+
+      const shards = data.network?.shards || costCalculator.DEFAULT_SHARDS;
+      const { rate, fiat } = await loadFiatRate(req.currency);
+      const limits = { maxEpochs: network.maxEpochsAhead, maxBlobSize: costCalculator.getMaxBlobSize(shards) };
+      const totals = { sizeBytes: 0, encodedBytes: 0, storageUnits: 0, writeCost: 0, storageCost: 0 };
+
+      const results = entries.map(entry => {
+        const id = entry.id === undefined || entry.id === null ? null : String(entry.id).substring(0, 200);
+        const input = costCalculator.validateQuote({ size: entry.sizeBytes, epochs: entry.epochs }, limits);
+        if (input.error) {
+          return { row: entry.row, id, ok: false, error: input.error };
+        }
+
+        const estimate = costCalculator.estimate({
+          bytes: input.bytes,
+          epochs: input.epochs,
+          storagePrice: data.storagePrice.value,
+          writePrice: data.writePrice.value,
+          shards
+        });
+
+        totals.sizeBytes += input.bytes;
+        totals.encodedBytes += estimate.encodedSize.bytes;
+        totals.storageUnits += estimate.storageUnits;
+        totals.writeCost += estimate.writeCost.frost;
+        totals.storageCost += estimate.storageCost.frost;
+
+        return {
+          row: entry.row,
+          id,
+          ok: true,
+          sizeBytes: input.bytes,
+          epochs: input.epochs,
+          encodedBytes: estimate.encodedSize.bytes,
+          storageUnits: estimate.storageUnits,
+          writeCostFrost: estimate.writeCost.frost,
+          storageCostFrost: estimate.storageCost.frost,
+          totalCostFrost: estimate.totalCost.frost,
+          totalCostWal: estimate.totalCost.wal,
+          ...(rate && { totalCostFiat: priceFeed.convert(estimate.totalCost.frost, rate).value })
+        };
+      });
+
+      const valid = results.filter(result => result.ok).length;
+
+      res.json({
+        success: true,
+        network: network.name,
+        summary: withCostUnits(withCostFiat({
+          entries: results.length,
+          valid,
+          invalid: results.length - valid,
+          sizeBytes: totals.sizeBytes,
+          encodedBytes: totals.encodedBytes,
+          storageUnits: totals.storageUnits,
+          writeCost: costCalculator.amount(totals.writeCost),
+          storageCost: costCalculator.amount(totals.storageCost),
+          totalCost: costCalculator.amount(totals.writeCost + totals.storageCost)
+        }, rate), req.units),
+        entries: results,
+        pricing: { ...buildPricingSnapshot(data, shards), ...(fiat && { fiat }) },
+        source,
+        timestamp: new Date().toISOString(),
+        ...(warning && { warning })
+      });
+    } catch (error) {
+      console.error('❌ Error in /cost-estimate/batch:', error.message);
+      res.status(500).json({
+        success: false,
+        network: network.name,
+        error: 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+// Storage node directory with sorting, filtering and pagination
+router.get(['/nodes', '/:network/nodes'], resolveNetwork, async (req, res) => {
+  const startTime = Date.now();
+  const network = req.network;
+
+  const { options, error } = parseNodeQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      network: network.name,
+      error: 'Invalid query',
+      message: error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const loaded = loadNodeDirectory(network);
+    if (!loaded.directory) {
+      return nodeDirectoryUnavailable(res, network, loaded.revalidating);
+    }
+
+    const { directory, source } = loaded;
+    const { nodes, pagination } = queryNodes(directory.nodes.map(sanitizeNode).filter(Boolean), options);
+
+    res.json({
+      success: true,
+      network: network.name,
+      nodes,
+      pagination,
+      sort: { field: options.sort, order: options.order },
+      lastUpdate: directory.timestamp,
+      provenance: provenance.sanitize(directory.provenance),
+      source,
+      timestamp: new Date().toISOString(),
+      responseTime: `${Date.now() - startTime}ms`
+    });
+  } catch (error) {
+    console.error('❌ Error in /nodes:', error.message);
+    res.status(500).json({
+      success: false,
+      network: network.name,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Single storage node by ID
+router.get(['/nodes/:id', '/:network/nodes/:id'], resolveNetwork, async (req, res) => {
+  const network = req.network;
+  const id = String(req.params.id).toLowerCase();
+
+  if (!NODE_ID_PATTERN.test(id)) {
+    return res.status(400).json({
+      success: false,
+      network: network.name,
+      error: 'Invalid node ID',
+      message: 'Node IDs are 0x-prefixed hex object IDs',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const loaded = loadNodeDirectory(network);
+    if (!loaded.directory) {
+      return nodeDirectoryUnavailable(res, network, loaded.revalidating);
+    }
+
+    const node = loaded.directory.nodes.map(sanitizeNode).find(entry => entry?.id === id);
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        network: network.name,
+        error: 'Node not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      network: network.name,
+      node,
+      lastUpdate: loaded.directory.timestamp,
+      provenance: provenance.sanitize(loaded.directory.provenance),
+      source: loaded.source,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error in /nodes/:id:', error.message);
+    res.status(500).json({
+      success: false,
+      network: network.name,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// History query options
+const HISTORY_PAGE_SIZE = { default: 100, max: 1000 };
+const HISTORY_DEFAULT_RANGE_DAYS = 30;
+
+const parseHistoryQuery = (query) => {
+  const single = (name) => (typeof query[name] === 'string' ? query[name].trim() : undefined);
+
+  const metric = single('metric');
+  if (!metric || !Object.keys(HISTORY_METRICS).includes(metric)) {
+    return { error: `metric must be one of: ${Object.keys(HISTORY_METRICS).join(', ')}` };
+  }
+
+  const interval = single('interval') || 'raw';
+  if (!Object.keys(HISTORY_INTERVALS).includes(interval)) {
+    return { error: `interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}` };
+  }
+
+  // Default window: the last 30 days
+  const dates = {};
+  for (const name of ['from', 'to']) {
+    const raw = single(name);
+    if (raw === undefined) continue;
+    const date = new Date(raw);
+    if (!raw || !date.getTime()) {
+      return { error: `${name} must be an ISO 8601 date` };
+    }
+    dates[name] = date;
+  }
+  const to = dates.to || new Date();
+  const from = dates.from || new Date(to.getTime() - HISTORY_DEFAULT_RANGE_DAYS * 86400000);
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+
+  let limit = HISTORY_PAGE_SIZE.default;
+  const rawLimit = single('limit');
+  if (rawLimit !== undefined) {
+    limit = Number(rawLimit);
+    if (!/^\d+$/.test(rawLimit) || limit < 1 || limit > HISTORY_PAGE_SIZE.max) {
+      return { error: `limit must be an integer between 1 and ${HISTORY_PAGE_SIZE.max}` };
+    }
+  }
+
+  const includeEstimated = single('includeEstimated');
+  if (includeEstimated !== undefined && !['true', 'false'].includes(includeEstimated)) {
+    return { error: 'includeEstimated must be true or false' };
+  }
+
+  // Cursors are only valid for the interval that issued them
+  let cursor = null;
+  const rawCursor = single('cursor');
+  if (rawCursor) {
+    cursor = snapshotStore.decodeCursor(rawCursor, interval);
+    if (!cursor) {
+      return { error: 'cursor is invalid for this interval' };
+    }
+  }
+
+  return {
+    options: {
+      metric,
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      includeEstimated: includeEstimated === 'true',
+      cursor,
+      limit
+    }
+  };
+};
+
+// Estimates go at most this far ahead; the capacity trend means little beyond it
+const ESTIMATE_MAX_AHEAD_DAYS = 365;
+
+// Model estimate of every field at ?at= (default now), with error bands and fit windows
+router.get(['/estimate', '/:network/estimate'], resolveNetwork, async (req, res) => {
+  const network = req.network;
+
+  const raw = typeof req.query.at === 'string' ? req.query.at.trim() : undefined;
+  const at = raw === undefined ? new Date() : new Date(raw);
+  if (!at.getTime() || at.getTime() > Date.now() + ESTIMATE_MAX_AHEAD_DAYS * 86400000) {
+    return res.status(400).json({
+      success: false,
+      network: network.name,
+      error: 'Invalid query',
+      message: `at must be an ISO 8601 date no more than ${ESTIMATE_MAX_AHEAD_DAYS} days ahead`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const estimate = await estimator.estimate(network, at);
+    res.json({
+      success: true,
+      network: network.name,
+      at: at.toISOString(),
+      windowDays: estimator.windowDays,
+      estimate: {
+        storagePrice: estimate.storagePrice,
+        writePrice: estimate.writePrice,
+        storageCapacity: estimate.storageCapacity,
+        epoch: estimate.epoch
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error in /estimate:', error.message);
+    res.status(500).json({
+      success: false,
+      network: network.name,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Time series of one metric from the snapshot store, optionally downsampled
+router.get(['/history', '/:network/history'], resolveNetwork, async (req, res) => {
+  const startTime = Date.now();
+  const network = req.network;
+
+  const { options, error } = parseHistoryQuery(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      network: network.name,
+      error: 'Invalid query',
+      message: error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const history = await snapshotStore.history({ network: network.name, ...options });
+    if (!history) {
+      return res.status(503).json({
+        success: false,
+        network: network.name,
+        error: 'History unavailable',
+        message: 'The snapshot store is disabled or could not be opened',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      network: network.name,
+      metric: options.metric,
+      unit: HISTORY_METRICS[options.metric].unit,
+      interval: options.interval,
+      from: options.from,
+      to: options.to,
+      includeEstimated: options.includeEstimated,
+      points: history.points,
+      pagination: { limit: options.limit, nextCursor: history.nextCursor },
+      timestamp: new Date().toISOString(),
+      responseTime: `${Date.now() - startTime}ms`
+    });
+  } catch (error) {
+    console.error('❌ Error in /history:', error.message);
+    res.status(500).json({
+      success: false,
+      network: network.name,
+      error: 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
 // Get last update time and scheduler status
-router.get('/last-update', (req, res) => {
-  const lastUpdate = cache.getTimestamp('walrus-data');
+router.get(['/last-update', '/:network/last-update'], resolveNetwork, (req, res) => {
+  const lastUpdate = cache.getTimestamp(networks.cacheKey(req.network.name));
   
   res.json({
     success: true,
+    network: req.network.name,
     lastUpdate: lastUpdate || null,
-    cacheStatus: lastUpdate ? 'active' : 'empty',
+    cacheStatus: scheduler.getNetworkStatus(req.network.name).cacheStatus,
     updateSchedule: 'Daily at 00:00 UTC',
     timestamp: new Date().toISOString()
   });
 });
 
 // Test endpoint to check scraper status
-router.get('/test-scraper', async (req, res) => {
+router.get(['/test-scraper', '/:network/test-scraper'], resolveNetwork, async (req, res) => {
   try {
-    console.log('🧪 Testing scraper functionality...');
-    const testResult = await walrusScraper.testScrape();
+    console.log(`🧪 Testing ${req.network.name} scraper functionality...`);
+    // Joins a scrape already in flight instead of launching another browser
+    const { data, outcome, joined } = await scrapeCoordinator.scrape(req.network.name, { caller: 'test-scraper' });
+    const testResult = data && walrusScraper.validateData(data) ? data : null;
     
     res.json({
       success: true,
+      network: req.network.name,
       scraperWorking: testResult !== null,
+      outcome,
+      joined,
       data: testResult,
       timestamp: new Date().toISOString()
     });
@@ -0,0 +1,141 @@
+// Multi-source consensus: compares each field across sources and picks the agreed value
+// Numeric fields use the median, the epoch uses a majority vote. Fields where a source
+// deviates from the agreed value by more than the tolerance are flagged as disagreements.
+const provenance = require('./provenance');
+
+const DEFAULT_TOLERANCE = 0.05; // 5% relative deviation
+
+// How each field is compared: the numeric key to vote on and the agreement method
+const FIELD_RULES = {
+  // Prices from a 'fallback' result are hardcoded constants, so they never vote
+  storagePrice: { key: 'value', method: 'median', realtimeOnly: true },
+  writePrice: { key: 'value', method: 'median', realtimeOnly: true },
+  storageCapacity: { key: 'percentage', method: 'median' },
+  epoch: { key: 'number', method: 'majority', tolerance: 0 },
+  // Sections are compared on one representative component
+  staking: { key: 'totalStaked', method: 'median' },
+  network: { key: 'committeeSize', method: 'majority', tolerance: 0 }
+};
+
+class ConsensusBuilder {
+  constructor(options = {}) {
+    const envTolerance = parseFloat(process.env.SCRAPER_CONSENSUS_TOLERANCE);
+    this.tolerance = options.tolerance ?? (Number.isFinite(envTolerance) ? envTolerance : DEFAULT_TOLERANCE);
+  }
+
+  // results: [{ source: { name, url }, data, error }]
+  build(results) {
+    const usable = results.filter(result => result.data);
+
+    const data = {
+      storagePrice: null,
+      writePrice: null,
+      storageCapacity: null,
+      epoch: null,
+      staking: null,
+      network: null,
+      dataSource: 'realtime',
+      timestamp: new Date().toISOString()
+    };
+
+    const consensus = {
+      tolerance: this.tolerance,
+      sources: results.map(result => ({
+        name: result.source.name,
+        ok: Boolean(result.data),
+        ...(result.data && { dataSource: result.data.dataSource }),
+        ...(result.error && { error: result.error })
+      })),
+      fields: {},
+      disagreements: [],
+      agreed: true
+    };
+
+    Object.entries(FIELD_RULES).forEach(([field, rule]) => {
+      const observations = usable
+        .filter(result => !rule.realtimeOnly || result.data.dataSource === 'realtime')
+        .map(result => ({ name: result.source.name, field: result.data[field] }))
+        .filter(observation => typeof observation.field?.[rule.key] === 'number');
+
+      if (observations.length === 0) return;
+
+      const values = observations.map(observation => observation.field[rule.key]);
+      const agreedValue = rule.method === 'majority' ? this.majority(values) : this.median(values);
+      const tolerance = rule.tolerance ?? this.tolerance;
+
+      const sourceValues = {};
+      let maxDeviation = 0;
+      observations.forEach(observation => {
+        const value = observation.field[rule.key];
+        sourceValues[observation.name] = value;
+        maxDeviation = Math.max(maxDeviation, this.deviation(value, agreedValue));
+      });
+
+      const disagreement = maxDeviation > tolerance;
+
+      consensus.fields[field] = {
+        value: agreedValue,
+        method: rule.method,
+        sources: sourceValues,
+        maxDeviation: parseFloat(maxDeviation.toFixed(4)),
+        disagreement
+      };
+
+      if (disagreement) {
+        consensus.disagreements.push(field);
+        consensus.agreed = false;
+      }
+
+      // Keep the full field (units, displays) from the source closest to the agreed value
+      const closest = observations.reduce((best, observation) =>
+        this.deviation(observation.field[rule.key], agreedValue) < this.deviation(best.field[rule.key], agreedValue)
+          ? observation
+          : best
+      );
+      data[field] = this.withAgreedValue(closest.field, rule.key, agreedValue);
+      data[field].provenance = provenance.applyConsensus(closest.field.provenance, {
+        agreedBy: observations.filter(observation => this.deviation(observation.field[rule.key], agreedValue) <= tolerance).length,
+        disagreement
+      });
+    });
+
+    data.consensus = consensus;
+    return data;
+  }
+
+  withAgreedValue(field, key, value) {
+    if (field[key] === value) return { ...field };
+
+    // An even number of sources can produce a median nobody reported; keep displays in sync
+    const updated = { ...field, [key]: value };
+    if (key === 'value') updated.display = value.toLocaleString('en-US');
+    if (key === 'percentage') updated.percentageDisplay = `${value}%`;
+    if (key === 'totalStaked') updated.totalStakedDisplay = `${value.toLocaleString('en-US')} WAL`;
+    return updated;
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  // Most common value; ties go to the highest (most recent) value
+  majority(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+  }
+
+  // Relative deviation from the agreed value
+  deviation(value, agreed) {
+    if (value === agreed) return 0;
+    if (agreed === 0) return Infinity;
+    return Math.abs(value - agreed) / Math.abs(agreed);
+  }
+}
+
+module.exports = new ConsensusBuilder();
+module.exports.ConsensusBuilder = ConsensusBuilder;
@@ -0,0 +1,89 @@
+// Epoch timing: when the current epoch started, when it is projected to end and how
+// much of it is left. Storage is paid per epoch, so buyers need to know the remainder.
+// Stored epochs carry { startTime, durationSeconds, timingSource }; progress and
+// countdown are derived at read time so cached data stays accurate.
+
+const TIMING_SOURCES = ['chain', 'schedule'];
+
+class EpochClock {
+  // Epoch number and start projected from the network's schedule (config/networks.js)
+  project(network, now = Date.now()) {
+    const { anchor, durationSeconds } = network.epochSchedule;
+    const anchorStart = new Date(anchor.startTime).getTime();
+    const durationMs = durationSeconds * 1000;
+    const elapsed = Math.max(0, Math.floor((now - anchorStart) / durationMs));
+
+    return {
+      number: anchor.number + elapsed,
+      startTime: new Date(anchorStart + elapsed * durationMs).toISOString(),
+      durationSeconds,
+      timingSource: 'schedule'
+    };
+  }
+
+  // Page sources only show the epoch number; add start and duration from the schedule
+  fill(epoch, network) {
+    if (!epoch || epoch.startTime || !Number.isInteger(epoch.number)) return epoch;
+
+    const { anchor, durationSeconds } = network.epochSchedule;
+    const start = new Date(anchor.startTime).getTime() + (epoch.number - anchor.number) * durationSeconds * 1000;
+    epoch.startTime = new Date(start).toISOString();
+    epoch.durationSeconds = durationSeconds;
+    epoch.timingSource = 'schedule';
+    return epoch;
+  }
+
+  // Live timing at `now`. An epoch that has ended since it was cached is rolled
+  // forward by whole durations and marked as schedule-derived.
+  describe(epoch, now = Date.now()) {
+    if (!epoch || !epoch.startTime || !(epoch.durationSeconds > 0)) return epoch;
+
+    const durationMs = epoch.durationSeconds * 1000;
+    let start = new Date(epoch.startTime).getTime();
+    let number = epoch.number;
+    let timingSource = TIMING_SOURCES.includes(epoch.timingSource) ? epoch.timingSource : 'schedule';
+
+    if (now >= start + durationMs) {
+      const passed = Math.floor((now - start) / durationMs);
+      number += passed;
+      start += passed * durationMs;
+      timingSource = 'schedule';
+    }
+
+    const end = start + durationMs;
+    const elapsed = Math.max(0, now - start);
+    const secondsRemaining = Math.max(0, Math.round((end - now) / 1000));
+    const progress = parseFloat(Math.min(100, (elapsed / durationMs) * 100).toFixed(2));
+
+    return {
+      ...epoch,
+      number,
+      display: `Epoch ${number}`,
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(end).toISOString(),
+      durationSeconds: epoch.durationSeconds,
+      durationDisplay: this.formatDuration(epoch.durationSeconds),
+      progress,
+      progressDisplay: `${progress}%`,
+      secondsRemaining,
+      remainingDisplay: this.formatDuration(secondsRemaining),
+      timingSource
+    };
+  }
+
+  // 1234567 -> '14d 6h 56m'; whole days read as '14 days'
+  formatDuration(seconds) {
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (hours === 0 && minutes === 0 && days > 0) {
+      return `${days} day${days === 1 ? '' : 's'}`;
+    }
+    return [days && `${days}d`, (days || hours) && `${hours}h`, `${minutes}m`].filter(Boolean).join(' ');
+  }
+}
+
+module.exports = new EpochClock();
+module.exports.EpochClock = EpochClock;
+module.exports.TIMING_SOURCES = TIMING_SOURCES;
@@ -0,0 +1,175 @@
+// Declarative extraction rules loaded from config/extraction-rules.json
+// Every pattern the parser uses lives in the rules file so ops can patch extraction
+// when a site changes its copy, without a code deploy. The file is validated on load
+// and hot-reloaded when it changes; an invalid edit keeps the last good rules.
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'extraction-rules.json');
+
+// Canonical units: prices in FROST, capacity in TB. Staking amounts are in WAL and
+// take a `scale` instead of a unit.
+const UNIT_FACTORS = {
+  FROST: 1,
+  WAL: 1e9,
+  B: 1e-12,
+  GB: 1e-3,
+  TB: 1,
+  PB: 1e3
+};
+
+// Which capture keys each field accepts. storageCapacity, staking and network
+// are built from several components that different rules may fill.
+const FIELD_CAPTURES = {
+  storagePrice: ['value'],
+  writePrice: ['value'],
+  epoch: ['number'],
+  storageCapacity: ['used', 'total', 'percentage'],
+  staking: ['totalStaked', 'apy'],
+  network: ['activeNodes', 'committeeSize', 'shards']
+};
+
+const validRegex = (value, helpers) => {
+  try {
+    new RegExp(value);
+    return value;
+  } catch (error) {
+    return helpers.message(`invalid pattern: ${error.message}`);
+  }
+};
+
+const captureSchema = Joi.object({
+  group: Joi.number().integer().min(0).required(),
+  unit: Joi.string().valid(...Object.keys(UNIT_FACTORS)),
+  scale: Joi.number().positive()
+});
+
+const ruleSchema = Joi.object({
+  id: Joi.string().max(100).required(),
+  field: Joi.string().valid(...Object.keys(FIELD_CAPTURES)).required(),
+  scope: Joi.string().valid('text', 'element').default('text'),
+  pattern: Joi.string().custom(validRegex).required(),
+  flags: Joi.string().pattern(/^[imsu]*$/).default('i'),
+  occurrence: Joi.number().integer().min(0).default(0),
+  minMatches: Joi.number().integer().min(1).default(1),
+  captures: Joi.object().pattern(Joi.string(), captureSchema).min(1).required(),
+  display: Joi.string().max(100),
+  when: Joi.object({
+    includes: Joi.array().items(Joi.string()),
+    excludes: Joi.array().items(Joi.string())
+  }),
+  exclusive: Joi.boolean().default(false),
+  priority: Joi.number().integer().default(0),
+  enabled: Joi.boolean().default(true)
+}).custom((rule, helpers) => {
+  const allowed = FIELD_CAPTURES[rule.field];
+  const invalid = Object.keys(rule.captures).filter(key => !allowed.includes(key));
+  if (invalid.length > 0) {
+    return helpers.message(`rule ${rule.id}: ${rule.field} cannot capture ${invalid.join(', ')}`);
+  }
+  if (['staking', 'network'].includes(rule.field) && Object.values(rule.captures).some(capture => capture.unit)) {
+    return helpers.message(`rule ${rule.id}: ${rule.field} captures take a scale, not a unit`);
+  }
+  return rule;
+});
+
+const rulesFileSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+  updated: Joi.string(),
+  jsonFields: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string().lowercase())).default({}),
+  sources: Joi.object().pattern(Joi.string(), Joi.array().items(ruleSchema)).required()
+});
+
+class ExtractionRules {
+  constructor(filePath = process.env.EXTRACTION_RULES_PATH || DEFAULT_RULES_PATH) {
+    this.filePath = filePath;
+    this.rules = null;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watching = false;
+
+    this.load();
+  }
+
+  // Load and validate the rules file; returns false (keeping current rules) on error
+  load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const { value, error } = rulesFileSchema.validate(raw, { abortEarly: false });
+      if (error) {
+        throw new Error(error.details.map(detail => detail.message).join('; '));
+      }
+
+      this.rules = value;
+      this.loadedAt = new Date().toISOString();
+      this.lastError = null;
+      console.log(`📐 Extraction rules v${value.version} loaded from ${this.filePath}`);
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error(`❌ Failed to load extraction rules: ${error.message}`);
+      if (!this.rules) {
+        throw error; // No previous rules to fall back on
+      }
+      console.log(`⚠️ Keeping extraction rules v${this.rules.version}`);
+      return false;
+    }
+  }
+
+  // Reload when the file changes (polling, so it works on any filesystem)
+  watch(interval = 5000) {
+    if (this.watching) return;
+
+    this.watcher = fs.watchFile(this.filePath, { interval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        console.log('🔄 Extraction rules changed, reloading...');
+        this.load();
+      }
+    });
+    this.watcher.unref();
+    this.watching = true;
+  }
+
+  unwatch() {
+    if (!this.watching) return;
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  // Rules for a source: shared '*' rules plus source rules, a source rule replaces
+  // a shared rule with the same id. Highest priority first.
+  getRules(sourceName) {
+    const shared = this.rules.sources['*'] || [];
+    const specific = (sourceName && this.rules.sources[sourceName]) || [];
+    const overridden = new Set(specific.map(rule => rule.id));
+
+    return [...shared.filter(rule => !overridden.has(rule.id)), ...specific]
+      .filter(rule => rule.enabled)
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  getJsonFields() {
+    return this.rules.jsonFields;
+  }
+
+  convert(value, capture) {
+    const factor = capture.unit ? UNIT_FACTORS[capture.unit] : 1;
+    return value * factor * (capture.scale || 1);
+  }
+
+  getStatus() {
+    return {
+      version: this.rules?.version ?? null,
+      filePath: this.filePath,
+      loadedAt: this.loadedAt,
+      watching: this.watching,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new ExtractionRules();
+module.exports.ExtractionRules = ExtractionRules;
+module.exports.UNIT_FACTORS = UNIT_FACTORS;
+module.exports.FIELD_CAPTURES = FIELD_CAPTURES;
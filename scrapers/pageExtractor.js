@@ -0,0 +1,208 @@
+// Shared Puppeteer page extraction used by the page-based sources
+const walrusParser = require('./walrusParser');
+const browserPool = require('../utils/browserPool');
+const forensics = require('../utils/forensics');
+
+// Limits on recorded JSON responses to stay inside the free tier memory budget
+const MAX_CAPTURED_RESPONSES = 30;
+const MAX_RESPONSE_BYTES = 512 * 1024;
+const MAX_DIAGNOSTIC_ENTRIES = 200;
+const CAPTURE_TIMEOUT = 10000;
+
+class PageExtractor {
+  constructor() {
+    this.timeout = 45000; // 45 seconds
+    // Record the page's XHR/fetch JSON responses and map known fields from them
+    this.captureResponses = process.env.SCRAPER_CAPTURE_JSON !== 'false';
+  }
+
+  // Start recording JSON responses; must be attached before navigation
+  recordJsonResponses(page) {
+    const responses = [];
+    const pending = new Set();
+
+    page.on('response', (response) => {
+      const resourceType = response.request().resourceType();
+      const contentType = response.headers()['content-type'] || '';
+
+      if (!['xhr', 'fetch'].includes(resourceType) || !contentType.includes('json')) return;
+      if (response.status() !== 200 || responses.length >= MAX_CAPTURED_RESPONSES) return;
+
+      const read = response.text()
+        .then(body => {
+          if (body.length <= MAX_RESPONSE_BYTES && responses.length < MAX_CAPTURED_RESPONSES) {
+            responses.push({ url: response.url(), body });
+          }
+        })
+        .catch(() => {}) // Body unavailable (redirect, page closed) - ignore
+        .finally(() => pending.delete(read));
+      pending.add(read);
+    });
+
+    return {
+      responses,
+      // Wait for bodies that are still being read
+      settle: () => Promise.all(Array.from(pending))
+    };
+  }
+
+  // Keep the page's console output and failed requests for forensics
+  recordDiagnostics(page) {
+    const diagnostics = { console: [], networkErrors: [] };
+    const push = (list, entry) => {
+      if (list.length < MAX_DIAGNOSTIC_ENTRIES) list.push({ ...entry, at: new Date().toISOString() });
+    };
+
+    page.on('console', message => push(diagnostics.console, { type: message.type(), text: message.text() }));
+    page.on('pageerror', error => push(diagnostics.console, { type: 'pageerror', text: error.message }));
+    page.on('requestfailed', request => push(diagnostics.networkErrors, {
+      url: request.url(),
+      method: request.method(),
+      error: request.failure()?.errorText || 'failed'
+    }));
+    page.on('response', response => {
+      if (response.status() >= 400) {
+        push(diagnostics.networkErrors, { url: response.url(), method: response.request().method(), status: response.status() });
+      }
+    });
+
+    return diagnostics;
+  }
+
+  // Save screenshot, DOM, console and network errors for a failed scrape
+  async captureFailure(page, { url, source, network, reason, error, data, diagnostics }) {
+    if (!forensics.enabled) return;
+
+    const artifacts = {};
+    if (page && !page.isClosed()) {
+      // A broken page can hang screenshot/content, so each gets a deadline
+      const withDeadline = async (promise) => {
+        let timer;
+        try {
+          return await Promise.race([promise, new Promise(resolve => { timer = setTimeout(resolve, CAPTURE_TIMEOUT, null); })]);
+        } catch (error) {
+          return null;
+        } finally {
+          clearTimeout(timer);
+        }
+      };
+
+      artifacts.screenshot = await withDeadline(page.screenshot({ fullPage: true, type: 'jpeg', quality: 70 }));
+      artifacts.html = await withDeadline(page.content());
+    }
+
+    await forensics.record({
+      source,
+      network,
+      url,
+      reason,
+      error: error?.message,
+      data,
+      console: diagnostics?.console,
+      networkErrors: diagnostics?.networkErrors,
+      ...artifacts
+    });
+  }
+
+  async scrape(url, options = {}) {
+    const timeout = options.timeout || this.timeout;
+    let page = null;
+    let diagnostics = null;
+    let walrusData = null;
+    
+    try {
+      page = await browserPool.acquirePage();
+      diagnostics = this.recordDiagnostics(page);
+
+      // Set viewport and user agent
+      await page.setViewport({ width: 1920, height: 1080 });
+      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+      
+      const recorder = this.captureResponses ? this.recordJsonResponses(page) : null;
+
+      console.log(`📡 Navigating to ${url}...`);
+      
+      // Navigate to the page with retry
+      let retries = 3;
+      while (retries > 0) {
+        try {
+          await page.goto(url, { 
+            waitUntil: 'domcontentloaded',
+            timeout
+          });
+          break;
+        } catch (error) {
+          retries--;
+          if (retries === 0) throw error;
+          console.log(`⚠️ Retrying navigation... (${retries} attempts left)`);
+          await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+      }
+
+      // Wait for the content to load with better detection
+      console.log('⏳ Waiting for content to load...');
+      
+      try {
+        // Wait for specific elements that should contain the data
+        await page.waitForFunction(() => {
+          const text = document.body.innerText;
+          return text.length > 1000 && (
+            text.includes('Storage') || 
+            text.includes('Epoch') || 
+            text.includes('TB') ||
+            text.includes('FROST')
+          );
+        }, { timeout: 15000 });
+        console.log('✅ Page content detected');
+      } catch (error) {
+        console.log('⚠️ Timeout waiting for content, proceeding anyway...');
+      }
+      
+      // Additional wait to ensure dynamic content loads - skipped when the page's
+      // JSON responses already gave us every field
+      let fromJson = null;
+      if (recorder) {
+        await recorder.settle();
+        fromJson = walrusParser.parseResponses(recorder.responses);
+      }
+
+      if (fromJson && walrusParser.isComplete(fromJson)) {
+        console.log(`✅ All fields found in ${recorder.responses.length} JSON responses`);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, 3000));
+      }
+
+      // Collect the rendered text and markup, then extract in Node with the pure parser
+      const snapshot = await page.evaluate(() => ({
+        text: document.body.innerText,
+        html: document.body.innerHTML
+      }));
+
+      if (recorder) {
+        await recorder.settle();
+        snapshot.responses = recorder.responses;
+      }
+
+      snapshot.source = options.source;
+      walrusData = walrusParser.parse(snapshot);
+
+      console.log('📊 Extracted data from', url, ':', walrusData);
+
+      // Capture while the page is still open; the caller discards data that fails validation
+      if (options.validate && !options.validate(walrusData)) {
+        await this.captureFailure(page, { url, source: options.source, network: options.network, reason: 'validation', data: walrusData, diagnostics });
+      }
+      return walrusData;
+      
+    } catch (error) {
+      await this.captureFailure(page, { url, source: options.source, network: options.network, reason: 'error', error, data: walrusData, diagnostics });
+      throw error;
+    } finally {
+      if (page) {
+        await browserPool.releasePage(page);
+      }
+    }
+  }
+}
+
+module.exports = new PageExtractor();
@@ -0,0 +1,96 @@
+// Per-field provenance: where each value came from and how much to trust it
+// Every data field (storagePrice, writePrice, storageCapacity, epoch) and optional
+// section (staking, network) carries { source, url, strategy, observedAt, confidence }
+// so consumers can tell real numbers from guesses even when one payload mixes both.
+
+// Pricing fields every source is expected to provide
+const CORE_FIELDS = ['storagePrice', 'writePrice', 'storageCapacity', 'epoch'];
+// Optional sections - only some sources show them, and they are never estimated
+const SECTION_FIELDS = ['staking', 'network'];
+const PROVENANCE_FIELDS = [...CORE_FIELDS, ...SECTION_FIELDS];
+
+// Base confidence per extraction strategy
+const STRATEGY_CONFIDENCE = {
+  'rpc': 0.99,           // read from the Walrus objects on chain
+  'json-response': 0.95, // named field in the explorer's own JSON API response
+  'text-regex': 0.8,     // pattern match over the rendered page text
+  'element-scan': 0.6,   // unit label found inside an element, value order guessed
+  'constant': 0.1,       // hardcoded known value
+  'estimated': 0.05      // generated, not observed
+};
+
+class Provenance {
+  get strategies() {
+    return Object.keys(STRATEGY_CONFIDENCE);
+  }
+
+  // Provenance for a field as extracted; source details are stamped by the scraper
+  create(strategy) {
+    return {
+      strategy,
+      confidence: STRATEGY_CONFIDENCE[strategy] ?? 0
+    };
+  }
+
+  // Fill in source, url and observedAt for every field a source returned
+  stamp(data, { source, url, observedAt }) {
+    if (!data) return data;
+
+    const timestamp = observedAt || data.timestamp || new Date().toISOString();
+
+    PROVENANCE_FIELDS.forEach(field => {
+      if (!data[field]) return;
+
+      const existing = data[field].provenance || this.create('text-regex');
+      data[field].provenance = {
+        source: existing.source || source,
+        url: existing.url || url || null,
+        strategy: existing.strategy,
+        observedAt: existing.observedAt || timestamp,
+        confidence: existing.confidence
+      };
+    });
+
+    return data;
+  }
+
+  // Raise confidence when independent sources agree, lower it when they dispute
+  applyConsensus(provenance, { agreedBy, disagreement }) {
+    if (!provenance) return provenance;
+
+    const confidence = disagreement
+      ? provenance.confidence * 0.5
+      : Math.min(1, provenance.confidence + 0.05 * (agreedBy - 1));
+
+    return {
+      ...provenance,
+      confidence: parseFloat(confidence.toFixed(2)),
+      agreedBy
+    };
+  }
+
+  // Sanitize provenance before it is served
+  sanitize(provenance) {
+    if (!provenance || typeof provenance !== 'object') {
+      return null;
+    }
+
+    const observedAt = new Date(provenance.observedAt);
+    const confidence = Number(provenance.confidence);
+
+    return {
+      source: provenance.source ? String(provenance.source).substring(0, 50) : null,
+      url: provenance.url ? String(provenance.url).substring(0, 200) : null,
+      strategy: this.strategies.includes(provenance.strategy) ? provenance.strategy : 'unknown',
+      observedAt: observedAt.getTime() ? observedAt.toISOString() : null,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0,
+      ...(Number.isInteger(provenance.agreedBy) && { agreedBy: provenance.agreedBy })
+    };
+  }
+}
+
+module.exports = new Provenance();
+module.exports.CORE_FIELDS = CORE_FIELDS;
+module.exports.SECTION_FIELDS = SECTION_FIELDS;
+module.exports.PROVENANCE_FIELDS = PROVENANCE_FIELDS;
+module.exports.STRATEGY_CONFIDENCE = STRATEGY_CONFIDENCE;
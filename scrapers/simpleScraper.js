@@ -1,69 +1,326 @@
 // Simple HTTP-based scraper as fallback when Puppeteer fails
+// Reads Walrus system and staking state directly from Sui JSON-RPC
+const http = require('http');
 const https = require('https');
+const provenance = require('./provenance');
+const { NETWORKS } = require('../config/networks');
+
+const BYTES_PER_TB = 1e12;
+const FROST_PER_WAL = 1e9;
+// sui_multiGetObjects accepts at most 50 ids per call
+const MULTI_GET_LIMIT = 50;
+// Upper bound on pool table pages (50 entries each)
+const MAX_FIELD_PAGES = 20;
 
 class SimpleScraper {
-  constructor() {
-    this.timeout = 10000; // 10 seconds
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000; // 10 seconds
+    // Defaults to the mainnet endpoint and Walrus shared objects (see config/networks.js)
+    this.rpcUrl = options.rpcUrl || NETWORKS.mainnet.rpcUrl;
+    this.systemObjectId = options.systemObjectId || NETWORKS.mainnet.systemObjectId;
+    this.stakingObjectId = options.stakingObjectId || NETWORKS.mainnet.stakingObjectId;
+    this.requestId = 0;
   }
 
   async fetchWalrusData() {
-    console.log('🌐 Attempting simple HTTP fetch...');
-    
+    console.log(`🌐 Attempting Sui JSON-RPC fetch from ${this.rpcUrl}...`);
+
     try {
-      // Try to fetch basic data from Walrus API endpoints if they exist
-      // This is a placeholder for when Walrus provides direct API access
-      
-      // For now, return null to indicate this method isn't available
-      // In the future, this could fetch from official Walrus APIs
-      return null;
-      
+      const systemState = await this.getInnerState(this.systemObjectId);
+
+      // Staking state is only needed for the epoch, so it must not fail the whole fetch
+      let stakingState = null;
+      try {
+        stakingState = await this.getInnerState(this.stakingObjectId);
+      } catch (error) {
+        console.log('⚠️ Could not read staking object:', error.message);
+      }
+
+      const data = this.mapChainState(systemState, stakingState);
+      console.log('✅ Sui JSON-RPC fetch succeeded');
+      return data;
+
     } catch (error) {
       console.log('❌ Simple scraper failed:', error.message);
       return null;
     }
   }
 
-  // Method to get current estimated data based on known patterns
-  getEstimatedData() {
-    console.log('📊 Generating estimated data based on current trends...');
-    
-    // These values are based on recent Walrus network data
-    // Update these periodically based on manual checks
-    const currentTime = new Date();
-    const dayOfYear = Math.floor((currentTime - new Date(currentTime.getFullYear(), 0, 0)) / (1000 * 60 * 60 * 24));
-    
-    // Simulate slight variations based on time
-    const storageVariation = Math.sin(dayOfYear / 10) * 1000;
-    const capacityVariation = Math.sin(dayOfYear / 15) * 2;
-    
-    return {
-      storagePrice: {
-        value: Math.round(11000 + storageVariation),
+  // Walrus keeps its versioned state in a dynamic field of the shared object,
+  // keyed by the `version` stored on the object itself
+  async getInnerState(objectId) {
+    const wrapper = await this.rpcCall('sui_getObject', [objectId, { showContent: true }]);
+    const wrapperFields = wrapper?.data?.content?.fields;
+    if (!wrapperFields) {
+      throw new Error(`Object ${objectId} not found`);
+    }
+
+    const dynamicFields = await this.rpcCall('suix_getDynamicFields', [objectId, null, 50]);
+    const entries = dynamicFields?.data || [];
+    const entry = entries.find(field => String(field.name?.value) === String(wrapperFields.version)) || entries[0];
+    if (!entry) {
+      throw new Error(`No inner state found for ${objectId}`);
+    }
+
+    const inner = await this.rpcCall('sui_getObject', [entry.objectId, { showContent: true }]);
+    const innerFields = inner?.data?.content?.fields?.value?.fields;
+    if (!innerFields) {
+      throw new Error(`Inner state ${entry.objectId} has no content`);
+    }
+
+    return innerFields;
+  }
+
+  // Map SystemStateInnerV1 / StakingInnerV1 fields to the API data shape
+  mapChainState(systemState, stakingState) {
+    const storagePrice = Number(systemState.storage_price_per_unit_size);
+    const writePrice = Number(systemState.write_price_per_unit_size);
+    const usedBytes = Number(systemState.used_capacity_size);
+    const totalBytes = Number(systemState.total_capacity_size);
+    const epochNumber = Number(stakingState?.epoch ?? systemState.committee?.fields?.epoch);
+
+    const data = {
+      storagePrice: null,
+      writePrice: null,
+      storageCapacity: null,
+      epoch: null,
+      staking: null,
+      network: null,
+      dataSource: 'realtime',
+      timestamp: new Date().toISOString()
+    };
+
+    if (Number.isFinite(storagePrice) && storagePrice > 0) {
+      data.storagePrice = {
+        value: storagePrice,
         unit: 'FROST/MiB/EPOCH',
-        display: (11000 + Math.round(storageVariation)).toLocaleString()
-      },
-      writePrice: {
-        value: Math.round(20000 + storageVariation * 1.5),
+        display: storagePrice.toLocaleString('en-US'),
+        provenance: provenance.create('rpc')
+      };
+    }
+
+    if (Number.isFinite(writePrice) && writePrice > 0) {
+      data.writePrice = {
+        value: writePrice,
         unit: 'FROST/MiB',
-        display: (20000 + Math.round(storageVariation * 1.5)).toLocaleString()
-      },
-      storageCapacity: {
-        used: Math.round(644 + capacityVariation),
-        total: 4167,
-        percentage: parseFloat((15.46 + capacityVariation * 0.1).toFixed(2)),
-        display: `${Math.round(644 + capacityVariation)} / 4,167 TB`,
-        usedDisplay: `${Math.round(644 + capacityVariation)} TB`,
-        totalDisplay: '4,167 TB',
-        percentageDisplay: `${(15.46 + capacityVariation * 0.1).toFixed(2)}%`
-      },
-      epoch: {
-        number: Math.floor(150 + dayOfYear / 7), // Rough epoch progression
-        display: `Epoch ${Math.floor(150 + dayOfYear / 7)}`
-      },
-      dataSource: 'estimated',
-      timestamp: currentTime.toISOString()
+        display: writePrice.toLocaleString('en-US'),
+        provenance: provenance.create('rpc')
+      };
+    }
+
+    if (Number.isFinite(usedBytes) && Number.isFinite(totalBytes) && totalBytes > 0) {
+      const usedTB = Math.round(usedBytes / BYTES_PER_TB);
+      const totalTB = Math.round(totalBytes / BYTES_PER_TB);
+      const percentage = ((usedBytes / totalBytes) * 100).toFixed(2);
+
+      data.storageCapacity = {
+        used: usedTB,
+        total: totalTB,
+        unit: 'TB',
+        usedDisplay: `${usedTB.toLocaleString('en-US')} TB`,
+        totalDisplay: `${totalTB.toLocaleString('en-US')} TB`,
+        display: `${usedTB.toLocaleString('en-US')} / ${totalTB.toLocaleString('en-US')} TB`,
+        percentage: parseFloat(percentage),
+        percentageDisplay: percentage + '%',
+        provenance: provenance.create('rpc')
+      };
+    }
+
+    if (Number.isInteger(epochNumber) && epochNumber > 0) {
+      data.epoch = {
+        number: epochNumber,
+        display: `Epoch ${epochNumber}`,
+        ...this.mapEpochTiming(stakingState, epochNumber),
+        provenance: provenance.create('rpc')
+      };
+    }
+
+    data.network = this.mapNetworkState(systemState, stakingState);
+
+    return data;
+  }
+
+  // Epoch start and duration from StakingInnerV1. EpochChangeDone / NextParamsSelected
+  // hold the time the current epoch began; while the change is still syncing, fall
+  // back to the fixed schedule from first_epoch_start.
+  mapEpochTiming(stakingState, epochNumber) {
+    const durationMs = Number(stakingState?.epoch_duration);
+    if (!Number.isFinite(durationMs) || durationMs <= 0) {
+      return {};
+    }
+
+    const state = stakingState.epoch_state;
+    const changeInProgress = state?.variant === 'EpochChangeSync';
+    let start = changeInProgress ? NaN : Number(state?.fields?.pos0);
+    if (!Number.isFinite(start) || start <= 0) {
+      start = Number(stakingState.first_epoch_start) + (epochNumber - 1) * durationMs;
+    }
+    if (!Number.isFinite(start) || start <= 0) {
+      return {};
+    }
+
+    return {
+      startTime: new Date(start).toISOString(),
+      durationSeconds: Math.round(durationMs / 1000),
+      timingSource: 'chain',
+      changeInProgress
     };
   }
+
+  // Committee and node counts; total stake and APY are not stored on these objects,
+  // so the staking section comes from the page sources
+  mapNetworkState(systemState, stakingState) {
+    const committee = systemState.committee?.fields;
+    const network = {};
+
+    if (Array.isArray(committee?.members)) {
+      network.committeeSize = committee.members.length;
+    }
+
+    const shards = Number(committee?.n_shards ?? stakingState?.n_shards);
+    if (Number.isInteger(shards) && shards > 0) {
+      network.shards = shards;
+    }
+
+    // Every registered storage node has a staking pool
+    const pools = Number(stakingState?.pools?.fields?.size);
+    if (Number.isInteger(pools) && pools > 0) {
+      network.activeNodes = pools;
+    }
+
+    if (Object.keys(network).length === 0) {
+      return null;
+    }
+    network.provenance = provenance.create('rpc');
+    return network;
+  }
+
+  // Storage node directory: one entry per staking pool, with the shards each
+  // committee member holds this epoch. Throws so the caller can record the failure.
+  async fetchNodes() {
+    console.log(`🌐 Fetching storage node directory from ${this.rpcUrl}...`);
+
+    const stakingState = await this.getInnerState(this.stakingObjectId);
+    const poolsId = stakingState.pools?.fields?.id?.id;
+    if (!poolsId) {
+      throw new Error('Staking pools table not found');
+    }
+
+    const shardsByNode = this.getCommitteeShards(stakingState.committee);
+    const entries = await this.getAllDynamicFields(poolsId);
+
+    const nodes = [];
+    for (let i = 0; i < entries.length; i += MULTI_GET_LIMIT) {
+      const ids = entries.slice(i, i + MULTI_GET_LIMIT).map(entry => entry.objectId);
+      const objects = await this.rpcCall('sui_multiGetObjects', [ids, { showContent: true }]);
+      (objects || []).forEach(object => {
+        const node = this.mapPool(object?.data?.content?.fields, shardsByNode);
+        if (node) nodes.push(node);
+      });
+    }
+
+    console.log(`✅ Read ${nodes.length} storage nodes`);
+    return nodes;
+  }
+
+  // Page through every dynamic field of a table (pools are stored in an ObjectTable)
+  async getAllDynamicFields(parentId) {
+    const entries = [];
+    let cursor = null;
+
+    for (let page = 0; page < MAX_FIELD_PAGES; page++) {
+      const result = await this.rpcCall('suix_getDynamicFields', [parentId, cursor, 50]);
+      entries.push(...(result?.data || []));
+      if (!result?.hasNextPage || !result.nextCursor) break;
+      cursor = result.nextCursor;
+    }
+
+    return entries;
+  }
+
+  // Committee is a VecMap<node ID, vector<shard ID>>
+  getCommitteeShards(committee) {
+    const contents = committee?.fields?.pos0?.fields?.contents || committee?.fields?.contents || [];
+    const shards = new Map();
+
+    contents.forEach(entry => {
+      const fields = entry?.fields || entry;
+      if (fields?.key && Array.isArray(fields.value)) {
+        shards.set(fields.key, fields.value.length);
+      }
+    });
+    return shards;
+  }
+
+  // Map a StakingPool object to a directory entry
+  mapPool(pool, shardsByNode) {
+    const id = pool?.id?.id;
+    const info = pool?.node_info?.fields;
+    if (!id || !info) return null;
+
+    const stake = Number(pool.wal_balance) / FROST_PER_WAL;
+    const commission = Number(pool.commission_rate) / 100; // basis points
+    // Commission goes to the operator unless it was handed to an object capability
+    const receiver = pool.commission_receiver;
+    const operator = receiver?.variant === 'Address' ? receiver.fields?.pos0 : null;
+
+    return {
+      id,
+      name: String(info.name || '').trim() || null,
+      operator: operator || null,
+      stake: Number.isFinite(stake) ? Math.floor(stake) : null,
+      commission: Number.isFinite(commission) ? commission : null,
+      shards: shardsByNode.get(id) || 0,
+      inCommittee: shardsByNode.has(id),
+      endpoint: info.network_address || null,
+      state: String(pool.state?.variant || 'unknown').toLowerCase()
+    };
+  }
+
+  // Minimal JSON-RPC 2.0 client over http/https
+  rpcCall(method, params) {
+    const body = JSON.stringify({
+      jsonrpc: '2.0',
+      id: ++this.requestId,
+      method,
+      params
+    });
+
+    return new Promise((resolve, reject) => {
+      const client = this.rpcUrl.startsWith('https:') ? https : http;
+
+      const req = client.request(this.rpcUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      }, (res) => {
+        let raw = '';
+        res.on('data', chunk => raw += chunk);
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            return reject(new Error(`RPC ${method} returned HTTP ${res.statusCode}`));
+          }
+
+          try {
+            const response = JSON.parse(raw);
+            if (response.error) {
+              return reject(new Error(`RPC ${method} failed: ${response.error.message}`));
+            }
+            resolve(response.result);
+          } catch (error) {
+            reject(new Error(`RPC ${method} returned invalid JSON`));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.setTimeout(this.timeout, () => req.destroy(new Error(`RPC ${method} timed out`)));
+      req.end(body);
+    });
+  }
 }
 
-module.exports = new SimpleScraper();
\ No newline at end of file
+module.exports = new SimpleScraper();
+module.exports.SimpleScraper = SimpleScraper;
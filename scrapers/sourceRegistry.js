@@ -0,0 +1,111 @@
+// Registry of pluggable data sources used by WalrusScraper
+// Each source declares how it fetches (Puppeteer page, plain HTTP or JSON-RPC),
+// how it extracts data, its priority, whether it is enabled, which networks it
+// covers (all networks when `networks` is not set) and which optional sections
+// (staking, network) it can provide. Sources that can list storage nodes also
+// implement extractNodes(context).
+const suiRpcSource = require('./sources/suiRpc');
+const walruscanSource = require('./sources/walruscan');
+const stakeWalSource = require('./sources/stakeWal');
+
+const FETCH_METHODS = ['page', 'http', 'rpc'];
+
+class SourceRegistry {
+  constructor() {
+    this.sources = new Map();
+  }
+
+  // Register (or replace) a source adapter
+  register(source) {
+    if (!source || typeof source.name !== 'string' || !source.name) {
+      throw new Error('Source must have a name');
+    }
+    if (!FETCH_METHODS.includes(source.method)) {
+      throw new Error(`Source ${source.name} has unknown fetch method: ${source.method}`);
+    }
+    if (typeof source.extract !== 'function') {
+      throw new Error(`Source ${source.name} must provide an extract() function`);
+    }
+
+    const adapter = {
+      priority: 0,
+      enabled: true,
+      networks: null,
+      provides: [],
+      // Sources with one fixed URL can just set `url`
+      getUrl() {
+        return this.url || null;
+      },
+      ...source
+    };
+
+    this.sources.set(adapter.name, adapter);
+    console.log(`🔌 Source registered: ${adapter.name} (${adapter.method}, priority ${adapter.priority})`);
+    return adapter;
+  }
+
+  unregister(name) {
+    return this.sources.delete(name);
+  }
+
+  get(name) {
+    return this.sources.get(name) || null;
+  }
+
+  setEnabled(name, enabled) {
+    const source = this.sources.get(name);
+    if (!source) return false;
+
+    source.enabled = Boolean(enabled);
+    console.log(`${source.enabled ? '✅' : '⏸️'} Source ${name} ${source.enabled ? 'enabled' : 'disabled'}`);
+    return true;
+  }
+
+  enable(name) {
+    return this.setEnabled(name, true);
+  }
+
+  disable(name) {
+    return this.setEnabled(name, false);
+  }
+
+  // All sources, highest priority first
+  list() {
+    return Array.from(this.sources.values())
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  supports(source, network) {
+    return !network || !source.networks || source.networks.includes(network);
+  }
+
+  // Enabled sources in the order they should be tried, optionally for one network
+  getEnabled(network) {
+    return this.list().filter(source => source.enabled && this.supports(source, network));
+  }
+
+  // Disable sources listed in SCRAPER_DISABLED_SOURCES (comma separated names)
+  applyEnvironment(env = process.env) {
+    const disabled = (env.SCRAPER_DISABLED_SOURCES || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    disabled.forEach(name => {
+      if (!this.disable(name)) {
+        console.log(`⚠️ Unknown source in SCRAPER_DISABLED_SOURCES: ${name}`);
+      }
+    });
+  }
+}
+
+// Create default registry with the built-in sources
+const sourceRegistry = new SourceRegistry();
+sourceRegistry.register(suiRpcSource);
+sourceRegistry.register(walruscanSource);
+sourceRegistry.register(stakeWalSource);
+sourceRegistry.applyEnvironment();
+
+module.exports = sourceRegistry;
+module.exports.SourceRegistry = SourceRegistry;
+module.exports.FETCH_METHODS = FETCH_METHODS;
@@ -0,0 +1,16 @@
+// Walrus staking app - secondary page source with the same stat cards
+const pageExtractor = require('../pageExtractor');
+
+module.exports = {
+  name: 'stake-wal',
+  url: 'https://stake-wal.wal.app/',
+  method: 'page',
+  priority: 10,
+  enabled: true,
+  networks: ['mainnet'], // The staking app only shows mainnet
+  provides: ['staking', 'network'],
+
+  async extract({ network, timeout, validate }) {
+    return pageExtractor.scrape(this.url, { timeout, validate, source: this.name, network: network?.name });
+  }
+};
@@ -0,0 +1,42 @@
+// Sui JSON-RPC - reads prices and capacity straight from the Walrus system object.
+// On-chain values are authoritative, so this source runs before any page scraping.
+const simpleScraper = require('../simpleScraper');
+const { SimpleScraper } = simpleScraper;
+
+// One RPC client per network, created on first use
+const clients = new Map();
+
+const clientFor = (network) => {
+  if (!network) return simpleScraper;
+
+  if (!clients.has(network.name)) {
+    clients.set(network.name, new SimpleScraper({
+      rpcUrl: network.rpcUrl,
+      systemObjectId: network.systemObjectId,
+      stakingObjectId: network.stakingObjectId
+    }));
+  }
+  return clients.get(network.name);
+};
+
+module.exports = {
+  name: 'sui-rpc',
+  method: 'rpc',
+  priority: 30,
+  enabled: true,
+  networks: ['mainnet', 'testnet'],
+  provides: ['network'],
+
+  getUrl(network) {
+    return clientFor(network).rpcUrl;
+  },
+
+  async extract({ network }) {
+    return clientFor(network).fetchWalrusData();
+  },
+
+  // Storage node directory, read from the staking pools
+  async extractNodes({ network }) {
+    return clientFor(network).fetchNodes();
+  }
+};
@@ -0,0 +1,19 @@
+// Walruscan explorer - renders network stats client side, so it needs a real page
+const pageExtractor = require('../pageExtractor');
+
+module.exports = {
+  name: 'walruscan',
+  method: 'page',
+  priority: 20,
+  enabled: true,
+  networks: ['mainnet', 'testnet'],
+  provides: ['staking', 'network'],
+
+  getUrl(network) {
+    return `https://walruscan.com/${network?.name || 'mainnet'}/home`;
+  },
+
+  async extract({ network, timeout, validate }) {
+    return pageExtractor.scrape(this.getUrl(network), { timeout, validate, source: this.name, network: network?.name });
+  }
+};
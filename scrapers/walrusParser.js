@@ -0,0 +1,439 @@
+// Pure extraction of Walrus stats from page text / HTML
+// Runs in Node without a browser, so it can be tested against saved page snapshots
+// in tests/fixtures/pages. The page sources only collect innerText, innerHTML and
+// the JSON responses the page loaded. Patterns come from the declarative rules file
+// (config/extraction-rules.json), see extractionRules.js.
+const provenance = require('./provenance');
+const extractionRules = require('./extractionRules');
+const unitFormatter = require('../utils/unitFormatter');
+const { SECTION_FIELDS } = provenance;
+const { FIELD_CAPTURES } = extractionRules;
+
+// Elements whose content is never rendered as text
+const SKIPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg'];
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+const BLOCK_ELEMENTS = ['address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'li', 'main', 'nav', 'ol', 'p', 'section', 'table', 'td', 'th', 'tr', 'ul'];
+
+// Capacity values above this are bytes rather than TB
+const CAPACITY_BYTES_THRESHOLD = 1e9;
+const BYTES_PER_TB = 1e12;
+
+// Stake amounts above this are FROST rather than WAL (total supply is 5B WAL)
+const STAKE_FROST_THRESHOLD = 1e12;
+const FROST_PER_WAL = 1e9;
+const AMOUNT_SUFFIXES = { K: 1e3, M: 1e6, B: 1e9 };
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&#x2F;': '/',
+  '&#47;': '/'
+};
+
+class WalrusParser {
+  // Parse a page snapshot: { text, html, responses, source }. Any of them may be omitted.
+  // responses: [{ url, body }] JSON bodies captured while the page loaded
+  // source: source name used to pick source-specific extraction rules
+  parse({ text, html, responses, source } = {}, rules = extractionRules) {
+    const data = this.emptyData();
+
+    const allText = this.cleanText(text || (html ? this.htmlToText(html) : ''));
+    const elementTexts = html ? this.getElementTexts(html) : [];
+
+    try {
+      // Strategy 1: Map known fields from the page's own JSON responses.
+      // These carry storage and write price under their own names, so nothing is guessed.
+      this.extractFromResponses(responses || [], data, rules.getJsonFields());
+
+      // Strategies 2 and 3: text patterns, then element scans (innermost first),
+      // in rule priority order for whatever is still missing
+      this.applyRules(rules.getRules(source), { allText, elementTexts }, data, rules);
+    } catch (error) {
+      console.log('Error during data extraction:', error.message);
+    }
+
+    // Fields not found stay null; the scheduler fills them from their last observation
+    return data;
+  }
+
+  emptyData() {
+    return {
+      storagePrice: null,
+      writePrice: null,
+      storageCapacity: null,
+      epoch: null,
+      staking: null,
+      network: null,
+      dataSource: 'realtime',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Only the JSON response strategy - no text guessing and no fallback values
+  parseResponses(responses, rules = extractionRules) {
+    const data = this.emptyData();
+    this.extractFromResponses(responses || [], data, rules.getJsonFields());
+    return data;
+  }
+
+  // True when every field was extracted
+  isComplete(data) {
+    return Boolean(data.storagePrice && data.writePrice && data.storageCapacity && data.epoch);
+  }
+
+  extractFromResponses(responses, data, jsonFields) {
+    const found = {};
+
+    responses.forEach(response => {
+      let body = response.body;
+      if (typeof body === 'string') {
+        try {
+          body = JSON.parse(body);
+        } catch (error) {
+          return;
+        }
+      }
+
+      this.walkJson(body, (key, value) => {
+        const normalizedKey = key.toLowerCase().replace(/[_-]/g, '');
+        const number = this.toNumber(value);
+        if (number === null) return;
+
+        // Earlier keys in the jsonFields lists are more specific and win over later ones
+        Object.entries(jsonFields).forEach(([field, keys]) => {
+          const rank = keys.indexOf(normalizedKey);
+          if (rank !== -1 && (!found[field] || rank < found[field].rank)) {
+            found[field] = { value: number, url: response.url, rank };
+          }
+        });
+      });
+    });
+
+    const jsonProvenance = (entry) => ({ ...provenance.create('json-response'), url: entry.url || null });
+
+    if (found.storagePrice && found.storagePrice.value > 0) {
+      data.storagePrice = this.buildPrice(found.storagePrice.value.toLocaleString('en-US'), 'FROST/MiB/EPOCH', 'json-response');
+      data.storagePrice.provenance = jsonProvenance(found.storagePrice);
+    }
+
+    if (found.writePrice && found.writePrice.value > 0) {
+      data.writePrice = this.buildPrice(found.writePrice.value.toLocaleString('en-US'), 'FROST/MiB', 'json-response');
+      data.writePrice.provenance = jsonProvenance(found.writePrice);
+    }
+
+    if (found.epoch && Number.isInteger(found.epoch.value) && found.epoch.value > 0) {
+      data.epoch = {
+        number: found.epoch.value,
+        display: `Epoch ${found.epoch.value}`,
+        provenance: jsonProvenance(found.epoch)
+      };
+    }
+
+    if (found.usedCapacity && found.totalCapacity && found.totalCapacity.value > 0) {
+      const toTB = (value) => value > CAPACITY_BYTES_THRESHOLD ? value / BYTES_PER_TB : value;
+      const usedTB = Math.round(toTB(found.usedCapacity.value));
+      const totalTB = Math.round(toTB(found.totalCapacity.value));
+      const percentage = ((toTB(found.usedCapacity.value) / toTB(found.totalCapacity.value)) * 100).toFixed(2);
+
+      data.storageCapacity = {
+        used: usedTB,
+        total: totalTB,
+        unit: 'TB',
+        usedDisplay: `${usedTB.toLocaleString('en-US')} TB`,
+        totalDisplay: `${totalTB.toLocaleString('en-US')} TB`,
+        display: unitFormatter.formatCapacity(usedTB, totalTB),
+        percentage: parseFloat(percentage),
+        percentageDisplay: percentage + '%',
+        provenance: jsonProvenance(found.totalCapacity)
+      };
+    }
+
+    // Staking and network sections, one JSON key per component
+    SECTION_FIELDS.forEach(section => {
+      FIELD_CAPTURES[section].forEach(key => {
+        const entry = found[key];
+        if (!entry || entry.value < 0) return;
+
+        data[section] = data[section] || { provenance: jsonProvenance(entry) };
+        const value = key === 'totalStaked' && entry.value > STAKE_FROST_THRESHOLD
+          ? entry.value / FROST_PER_WAL
+          : entry.value;
+        this.setSectionValue(data[section], key, value);
+      });
+    });
+  }
+
+  // Depth-first walk calling visit(key, value) for every property
+  walkJson(node, visit, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 10) return;
+
+    if (Array.isArray(node)) {
+      node.forEach(item => this.walkJson(item, visit, depth + 1));
+      return;
+    }
+
+    Object.entries(node).forEach(([key, value]) => {
+      // { storagePrice: { value: 11000 } } style wrappers
+      if (value && typeof value === 'object' && !Array.isArray(value) && 'value' in value) {
+        visit(key, value.value);
+      }
+      visit(key, value);
+      this.walkJson(value, visit, depth + 1);
+    });
+  }
+
+  toNumber(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim())) return Number(value);
+    return null;
+  }
+
+  // Run extraction rules in priority order. Prices and epoch take the first rule that
+  // matches; capacity, staking and network collect components from several rules unless
+  // an exclusive rule matched first. Fields already set from JSON are left alone, but
+  // staking / network components JSON did not provide can still come from rules.
+  applyRules(rules, { allText, elementTexts }, data, ruleSet = extractionRules) {
+    const preset = new Set(Object.keys(data).filter(field => data[field] && !SECTION_FIELDS.includes(field)));
+    const closed = new Set();
+
+    rules.forEach(rule => {
+      if (preset.has(rule.field) || closed.has(rule.field)) return;
+
+      const existing = data[rule.field];
+      const pending = Object.keys(rule.captures).filter(key => existing?.[key] === undefined);
+      if (existing && FIELD_CAPTURES[rule.field].length === 1) return;
+      if (pending.length === 0) return;
+
+      const match = rule.scope === 'element'
+        ? this.matchElements(rule, elementTexts)
+        : this.matchText(rule, allText);
+      if (!match) return;
+
+      const strategy = rule.scope === 'element' ? 'element-scan' : 'text-regex';
+      this.applyMatch(rule, match, data, pending, strategy, ruleSet);
+
+      if (rule.exclusive) closed.add(rule.field);
+    });
+
+    // Derive the percentage when a rule gave used / total but no percentage
+    const capacity = data.storageCapacity;
+    if (capacity && capacity.percentage === undefined && capacity.used !== undefined && capacity.total > 0) {
+      const percentage = ((capacity.used / capacity.total) * 100).toFixed(2);
+      capacity.percentage = parseFloat(percentage);
+      capacity.percentageDisplay = percentage + '%';
+    }
+  }
+
+  // nth match of the rule pattern over the whole text
+  matchText(rule, allText) {
+    const pattern = new RegExp(rule.pattern, rule.flags.includes('g') ? rule.flags : rule.flags + 'g');
+    const matches = Array.from(allText.matchAll(pattern));
+
+    if (matches.length < rule.minMatches) return null;
+    return matches[rule.occurrence] || null;
+  }
+
+  // First element (innermost first) passing the rule's text filters and pattern
+  matchElements(rule, elementTexts) {
+    const pattern = new RegExp(rule.pattern, rule.flags);
+    const includes = rule.when?.includes || [];
+    const excludes = rule.when?.excludes || [];
+
+    for (const text of elementTexts) {
+      if (!includes.every(needle => text.includes(needle))) continue;
+      if (excludes.some(needle => text.includes(needle))) continue;
+
+      const match = text.match(pattern);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  applyMatch(rule, match, data, pending, strategy, ruleSet) {
+    const raw = (group) => (match[group] || '').trim();
+    const numeric = (group) => parseFloat(raw(group).replace(/,/g, ''));
+
+    if (rule.field === 'storagePrice' || rule.field === 'writePrice') {
+      const capture = rule.captures.value;
+      const value = Math.round(ruleSet.convert(numeric(capture.group), capture));
+      if (!Number.isFinite(value)) return;
+
+      const unit = rule.field === 'storagePrice' ? 'FROST/MiB/EPOCH' : 'FROST/MiB';
+      const display = capture.unit && capture.unit !== 'FROST' ? value.toLocaleString('en-US') : raw(capture.group);
+      data[rule.field] = this.buildPrice(display, unit, strategy);
+      data[rule.field].value = value;
+      return;
+    }
+
+    if (rule.field === 'epoch') {
+      const number = parseInt(raw(rule.captures.number.group).replace(/,/g, ''));
+      if (!Number.isInteger(number)) return;
+
+      data.epoch = {
+        number,
+        display: `Epoch ${number}`,
+        provenance: provenance.create(strategy)
+      };
+      return;
+    }
+
+    if (SECTION_FIELDS.includes(rule.field)) {
+      const section = data[rule.field] || { provenance: provenance.create(strategy) };
+      pending.forEach(key => {
+        const value = this.parseAmount(raw(rule.captures[key].group));
+        if (value !== null) {
+          this.setSectionValue(section, key, ruleSet.convert(value, rule.captures[key]));
+        }
+      });
+
+      if (Object.keys(section).length > 1) {
+        data[rule.field] = section;
+      }
+      return;
+    }
+
+    // storageCapacity: fill only the components still missing. Values are converted to
+    // TB whatever unit the page used, and so are their display strings.
+    const capacity = data.storageCapacity || { provenance: provenance.create(strategy) };
+    pending.forEach(key => {
+      const capture = rule.captures[key];
+      const value = numeric(capture.group);
+      if (!Number.isFinite(value)) return;
+
+      if (key === 'percentage') {
+        capacity.percentage = value;
+        capacity.percentageDisplay = raw(capture.group) + '%';
+        return;
+      }
+
+      capacity[key] = ruleSet.convert(value, capture);
+      capacity[`${key}Display`] = `${unitFormatter.formatNumber(capacity[key])} TB`;
+    });
+
+    if (capacity.used !== undefined && capacity.total !== undefined) {
+      capacity.unit = 'TB';
+      capacity.display = unitFormatter.formatCapacity(capacity.used, capacity.total);
+    } else if (rule.display && capacity.display === undefined) {
+      capacity.display = rule.display.replace(/\{(\d+)\}/g, (_, group) => raw(parseInt(group)));
+    }
+
+    if (Object.keys(capacity).length > 1) {
+      data.storageCapacity = capacity;
+    }
+  }
+
+  // Set one staking / network component, with a display string where it has a unit
+  setSectionValue(section, key, value) {
+    if (key === 'totalStaked') {
+      section.totalStaked = Math.round(value);
+      section.totalStakedDisplay = `${section.totalStaked.toLocaleString('en-US')} WAL`;
+    } else if (key === 'apy') {
+      section.apy = parseFloat(value.toFixed(2));
+      section.apyDisplay = `${section.apy}%`;
+    } else {
+      section[key] = Math.round(value);
+    }
+  }
+
+  // "1.02B", "850M", "12,345" -> number, or null when it is not an amount
+  parseAmount(text) {
+    const match = String(text).replace(/,/g, '').match(/^(\d+(?:\.\d+)?)\s*([KMB])?$/i);
+    if (!match) return null;
+    return parseFloat(match[1]) * (AMOUNT_SUFFIXES[(match[2] || '').toUpperCase()] || 1);
+  }
+
+  buildPrice(display, unit, strategy) {
+    return {
+      value: parseInt(display.replace(/,/g, '')),
+      unit,
+      display,
+      provenance: provenance.create(strategy)
+    };
+  }
+
+  // Helper function to clean text
+  cleanText(text) {
+    return text ? text.replace(/[ \t\f\v\u00a0]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim() : '';
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&(?:nbsp|amp|lt|gt|quot|#39|#x2F|#47);/g, entity => HTML_ENTITIES[entity])
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)));
+  }
+
+  // Rough innerText equivalent: drop non-rendered elements, break lines at block elements
+  htmlToText(html) {
+    const blockPattern = new RegExp(`</?(?:${BLOCK_ELEMENTS.join('|')}|br)\\b[^>]*>`, 'gi');
+    const skippedPattern = new RegExp(`<(${SKIPPED_ELEMENTS.join('|')})\\b[^>]*>[\\s\\S]*?</\\1>`, 'gi');
+
+    const text = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(skippedPattern, '')
+      .replace(blockPattern, '\n')
+      .replace(/<[^>]+>/g, '');
+
+    return this.decodeEntities(text);
+  }
+
+  // textContent of every element, in the order elements close (innermost first)
+  getElementTexts(html) {
+    const texts = [];
+    const stack = [];
+    const tokenPattern = /<!--[\s\S]*?-->|<\/?([a-zA-Z][\w-]*)\b[^>]*?(\/?)>|([^<]+)/g;
+    let skipping = null;
+    let token;
+
+    while ((token = tokenPattern.exec(html)) !== null) {
+      const [raw, tagName, selfClosing, textNode] = token;
+
+      if (textNode !== undefined) {
+        if (skipping) continue;
+        const decoded = this.decodeEntities(textNode);
+        stack.forEach(element => element.parts.push(decoded));
+        continue;
+      }
+
+      if (!tagName) continue; // comment
+
+      const tag = tagName.toLowerCase();
+      const isClosing = raw.startsWith('</');
+
+      if (skipping) {
+        if (isClosing && tag === skipping) skipping = null;
+        continue;
+      }
+
+      if (!isClosing) {
+        if (SKIPPED_ELEMENTS.includes(tag)) {
+          if (!selfClosing) skipping = tag;
+          continue;
+        }
+        if (!selfClosing && !VOID_ELEMENTS.includes(tag)) {
+          stack.push({ tag, parts: [] });
+        }
+        continue;
+      }
+
+      // Close the matching element (and anything left unclosed inside it)
+      const index = stack.map(element => element.tag).lastIndexOf(tag);
+      if (index === -1) continue;
+
+      while (stack.length > index) {
+        const element = stack.pop();
+        const content = element.parts.join('').replace(/\s+/g, ' ').trim();
+        if (content) texts.push(content);
+      }
+    }
+
+    return texts;
+  }
+}
+
+module.exports = new WalrusParser();
+module.exports.WalrusParser = WalrusParser;
@@ -1,340 +1,199 @@
-const puppeteer = require('puppeteer');
-const simpleScraper = require('./simpleScraper');
+const sourceRegistry = require('./sourceRegistry');
+const consensusBuilder = require('./consensus');
+const provenance = require('./provenance');
+const epochClock = require('./epochClock');
+const { SECTION_FIELDS } = provenance;
+const browserPool = require('../utils/browserPool');
+const forensics = require('../utils/forensics');
+const networks = require('../config/networks');
+
+// SCRAPER_SUPPLEMENT_SECTIONS values; true / false are kept from when it was a switch
+const SUPPLEMENT_MODES = { scheduled: 'scheduled', always: 'always', true: 'always', never: 'never', false: 'never' };
 
 class WalrusScraper {
   constructor() {
-    this.urls = [
-      'https://walruscan.com/mainnet/home',
-      'https://stake-wal.wal.app/'
-    ];
+    this.registry = sourceRegistry;
     this.timeout = 45000; // 45 seconds
+    // 'first' returns the first valid source, 'consensus' compares every enabled source
+    this.mode = process.env.SCRAPER_MODE === 'consensus' ? 'consensus' : 'first';
+    // In 'first' mode, fill staking / network sections the winning source lacked. Those
+    // usually come from a page source, so by default only scrapes that ask for it (the
+    // scheduled daily refresh) pay for Chromium: 'scheduled', 'always' or 'never'
+    this.supplementSections = SUPPLEMENT_MODES[process.env.SCRAPER_SUPPLEMENT_SECTIONS] || 'scheduled';
   }
 
-  async scrapeWalrusData() {
-    let browser = null;
+  // signal cancels the scrape between sources; scrapeCoordinator passes one so callers
+  // should go through it rather than calling this directly. supplement asks for missing
+  // sections to be filled when SCRAPER_SUPPLEMENT_SECTIONS is 'scheduled'.
+  async scrapeWalrusData(networkName = networks.getDefaultName(), { signal, supplement = false } = {}) {
+    const network = networks.getNetwork(networkName);
+    if (!network) {
+      console.error(`❌ Unknown or disabled network: ${networkName}`);
+      return null;
+    }
+
+    // Page sources borrow pages from the shared pool; Chromium starts on first use.
+    // validate lets them capture forensics while their page is still open.
+    const context = {
+      network,
+      pool: browserPool,
+      timeout: this.timeout,
+      signal,
+      supplement: this.supplementSections === 'always' || (this.supplementSections === 'scheduled' && supplement),
+      validate: data => this.validateData(data)
+    };
     
     try {
-      console.log('🚀 Starting Walrus data scrape...');
-      
-      // Launch browser with secure and resource-optimized settings for Render.com
-      browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu',
-          '--disable-background-networking',
-          '--disable-background-timer-throttling',
-          '--disable-renderer-backgrounding',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-client-side-phishing-detection',
-          '--disable-component-extensions-with-background-pages',
-          '--disable-default-apps',
-          '--disable-extensions',
-          '--disable-features=TranslateUI,VizDisplayCompositor',
-          '--disable-hang-monitor',
-          '--disable-ipc-flooding-protection',
-          '--disable-popup-blocking',
-          '--disable-prompt-on-repost',
-          '--disable-sync',
-          '--metrics-recording-only',
-          '--no-default-browser-check',
-          '--safebrowsing-disable-auto-update',
-          '--memory-pressure-off',
-          '--max_old_space_size=300',
-          '--single-process'
-        ],
-        // Resource limits for free tier deployment
-        defaultViewport: { width: 1280, height: 720 },
-        timeout: 30000
-      });
+      console.log(`🚀 Starting Walrus ${network.name} data scrape (${this.mode} mode)...`);
 
-      // Try each URL until one works
-      for (const url of this.urls) {
-        console.log(`📡 Trying ${url}...`);
-        
-        try {
-          const data = await this.scrapeFromUrl(browser, url);
-          if (data && this.validateData(data)) {
-            console.log('✅ Successfully scraped data from:', url);
-            return data;
-          }
-        } catch (error) {
-          console.log(`❌ Failed to scrape from ${url}:`, error.message);
-          continue;
-        }
+      const data = this.mode === 'consensus'
+        ? await this.scrapeWithConsensus(context)
+        : await this.scrapeFirstValid(context);
+
+      if (data) {
+        // Page sources only report the epoch number
+        epochClock.fill(data.epoch, network);
+        return data;
       }
-      
-      console.log('❌ All URLs failed, trying simple scraper...');
-      
-      // Try simple scraper as fallback
-      const simpleData = await simpleScraper.fetchWalrusData();
-      if (simpleData) {
-        console.log('✅ Simple scraper succeeded');
-        return simpleData;
+      if (signal?.aborted) {
+        console.log(`🛑 ${network.name} scrape cancelled`);
+        return null;
       }
       
-      // If simple scraper also fails, use estimated data
-      console.log('⚠️ Using estimated data as final fallback');
-      return simpleScraper.getEstimatedData();
+      // The simple scraper's JSON-RPC fetch runs as the 'sui-rpc' source above. Nothing is
+      // made up when every source has failed; the last known values stay in use.
+      console.log(`⚠️ All ${network.name} sources failed, keeping last known values`);
+      return null;
 
     } catch (error) {
       console.error('❌ Scraping error:', error.message);
       return null;
-    } finally {
-      if (browser) {
-        await browser.close();
-        console.log('🔒 Browser closed');
-      }
     }
   }
 
-  async scrapeFromUrl(browser, url) {
-    const page = await browser.newPage();
-    
-    try {
-      // Set viewport and user agent
-      await page.setViewport({ width: 1920, height: 1080 });
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
-      
-      console.log(`📡 Navigating to ${url}...`);
-      
-      // Navigate to the page with retry
-      let retries = 3;
-      while (retries > 0) {
-        try {
-          await page.goto(url, { 
-            waitUntil: 'domcontentloaded',
-            timeout: this.timeout 
-          });
-          break;
-        } catch (error) {
-          retries--;
-          if (retries === 0) throw error;
-          console.log(`⚠️ Retrying navigation... (${retries} attempts left)`);
-          await new Promise(resolve => setTimeout(resolve, 2000));
-        }
-      }
+  // Try each enabled source in priority order until one works
+  async scrapeFirstValid(context) {
+    const sources = this.registry.getEnabled(context.network.name);
 
-      // Wait for the content to load with better detection
-      console.log('⏳ Waiting for content to load...');
-      
-      try {
-        // Wait for specific elements that should contain the data
-        await page.waitForFunction(() => {
-          const text = document.body.innerText;
-          return text.length > 1000 && (
-            text.includes('Storage') || 
-            text.includes('Epoch') || 
-            text.includes('TB') ||
-            text.includes('FROST')
-          );
-        }, { timeout: 15000 });
-        console.log('✅ Page content detected');
-      } catch (error) {
-        console.log('⚠️ Timeout waiting for content, proceeding anyway...');
+    for (const [index, source] of sources.entries()) {
+      if (context.signal?.aborted) return null;
+      const { data } = await this.runSource(source, context);
+      if (data) {
+        console.log('✅ Successfully scraped data from:', source.name);
+        return context.supplement ? this.fillSections(data, sources.slice(index + 1), context) : data;
       }
-      
-      // Additional wait to ensure dynamic content loads
-      await new Promise(resolve => setTimeout(resolve, 3000));
-
-      // Take a screenshot for debugging (optional)
-      // await page.screenshot({ path: 'debug.png' });
-
-      // Extract data using multiple strategies
-      const walrusData = await page.evaluate(() => {
-        const data = {
-          storagePrice: null,
-          writePrice: null,
-          storageCapacity: null,
-          epoch: null,
-          dataSource: 'realtime', // Will be changed to 'fallback' if using fallback values
-          timestamp: new Date().toISOString()
-        };
-
-        // Helper function to clean text
-        const cleanText = (text) => {
-          return text ? text.trim().replace(/\s+/g, ' ') : '';
-        };
-
-        // Helper function to extract numbers
-        const extractNumber = (text) => {
-          const match = text.match(/[\d,]+/);
-          return match ? match[0].replace(/,/g, '') : null;
-        };
-
-        // Helper function to extract percentage
-        const extractPercentage = (text) => {
-          const match = text.match(/([\d.]+)%/);
-          return match ? match[1] : null;
-        };
-
-        try {
-          // Strategy 1: Look for specific text patterns
-          const allText = document.body.innerText;
-          
+    }
+    return null;
+  }
 
-          
-          // Extract Storage Price - match actual format: "11,000FROST / MB"
-          // We need to distinguish between storage (first occurrence) and write price (second)
-          const allFrostMatches = allText.match(/(\d{1,3}(?:,\d{3})*)\s*FROST\s*\/\s*MB/gi);
-          
-          if (allFrostMatches && allFrostMatches.length >= 2) {
-            // First match is storage price (FROST/MiB/EPOCH)
-            const storageMatch = allFrostMatches[0].match(/(\d{1,3}(?:,\d{3})*)/);
-            if (storageMatch) {
-              data.storagePrice = {
-                value: parseInt(storageMatch[1].replace(/,/g, '')),
-                unit: 'FROST/MiB/EPOCH',
-                display: storageMatch[1]
-              };
-            }
-            
-            // Second match is write price (FROST/MiB)
-            const writeMatch = allFrostMatches[1].match(/(\d{1,3}(?:,\d{3})*)/);
-            if (writeMatch) {
-              data.writePrice = {
-                value: parseInt(writeMatch[1].replace(/,/g, '')),
-                unit: 'FROST/MiB',
-                display: writeMatch[1]
-              };
-            }
-          }
+  // Staking / network sections are optional, so the winning source may not have them;
+  // take the missing ones from later sources that declare they provide them
+  async fillSections(data, remaining, context) {
+    for (const source of remaining) {
+      if (context.signal?.aborted) break;
+      const missing = SECTION_FIELDS.filter(section => !data[section]);
+      if (missing.length === 0) break;
+      if (!source.provides.some(section => missing.includes(section))) continue;
+
+      console.log(`➕ Fetching ${missing.join(', ')} from ${source.name}`);
+      const { data: extra } = await this.runSource(source, context);
+      missing.forEach(section => {
+        if (extra?.[section]) data[section] = extra[section];
+      });
+    }
+    return data;
+  }
 
-          // Extract Epoch information
-          const epochMatch = allText.match(/Epoch\s*(\d+)/i);
-          if (epochMatch) {
-            data.epoch = {
-              number: parseInt(epochMatch[1]),
-              display: `Epoch ${epochMatch[1]}`
-            };
-          }
+  // Fetch from every enabled source and agree on each field
+  async scrapeWithConsensus(context) {
+    const results = [];
+    for (const source of this.registry.getEnabled(context.network.name)) {
+      if (context.signal?.aborted) return null;
+      results.push(await this.runSource(source, context));
+    }
 
-          // Extract Storage Capacity - look for the "644 / 4,167 TB" pattern first
-          const storagePattern = allText.match(/(\d{1,3}(?:,\d{3})*)\s*\/\s*(\d{1,3}(?:,\d{3})*)\s*TB/i);
-          if (storagePattern) {
-            const usedTB = parseInt(storagePattern[1].replace(/,/g, ''));
-            const totalTB = parseInt(storagePattern[2].replace(/,/g, ''));
-            const percentage = ((usedTB / totalTB) * 100).toFixed(2);
-            
-            data.storageCapacity = {
-              used: usedTB,
-              total: totalTB,
-              usedDisplay: storagePattern[1] + ' TB',
-              totalDisplay: storagePattern[2] + ' TB',
-              display: `${storagePattern[1]} / ${storagePattern[2]} TB`,
-              percentage: parseFloat(percentage),
-              percentageDisplay: percentage + '%'
-            };
-          } else {
-            // Fallback: Extract just percentage if TB numbers not found
-            const capacityMatch = allText.match(/([\d.]+)%/);
-            if (capacityMatch) {
-              data.storageCapacity = {
-                percentage: parseFloat(capacityMatch[1]),
-                percentageDisplay: capacityMatch[1] + '%'
-              };
-              
-              // Try to find the actual usage numbers (like 643.1 TB / 4.16 PB)
-              const usageMatch = allText.match(/([\d.]+)\s*TB\s*\/?\s*([\d.]+)\s*PB/i);
-              if (usageMatch) {
-                data.storageCapacity.used = parseFloat(usageMatch[1]);
-                data.storageCapacity.total = parseFloat(usageMatch[2]) * 1000; // Convert PB to TB
-                data.storageCapacity.usedDisplay = usageMatch[1] + ' TB';
-                data.storageCapacity.totalDisplay = usageMatch[2] + ' PB';
-                data.storageCapacity.display = `${usageMatch[1]} TB / ${usageMatch[2]} PB`;
-              }
-            }
-          }
+    if (!results.some(result => result.data)) {
+      return null;
+    }
 
-          // Strategy 2: Look for elements with specific class names or data attributes
-          // This is a fallback if text matching doesn't work
+    const data = consensusBuilder.build(results);
+    if (data.consensus.agreed) {
+      console.log('✅ Sources agree on all fields');
+    } else {
+      console.log(`⚠️ Sources disagree on: ${data.consensus.disagreements.join(', ')}`);
+    }
+    return data;
+  }
 
-          // Try to find elements containing "FROST"
-          const frostElements = Array.from(document.querySelectorAll('*')).filter(el => 
-            el.textContent && el.textContent.includes('FROST')
-          );
+  // Run a single source; data is only returned when it passes validateData
+  async runSource(source, context) {
+    console.log(`📡 Trying ${source.name} (${source.method})...`);
 
-          frostElements.forEach(el => {
-            const text = el.textContent.trim();
-            
-            // Storage price pattern
-            if (text.includes('FROST/MiB/EPOCH') && !data.storagePrice) {
-              const match = text.match(/(\d{1,3}(?:,\d{3})*)/);
-              if (match) {
-                data.storagePrice = {
-                  value: parseInt(match[1].replace(/,/g, '')),
-                  unit: 'FROST/MiB/EPOCH',
-                  display: match[1]
-                };
-              }
-            }
-            
-            // Write price pattern
-            if (text.includes('FROST/MiB') && !text.includes('EPOCH') && !data.writePrice) {
-              const match = text.match(/(\d{1,3}(?:,\d{3})*)/);
-              if (match) {
-                data.writePrice = {
-                  value: parseInt(match[1].replace(/,/g, '')),
-                  unit: 'FROST/MiB',
-                  display: match[1]
-                };
-              }
-            }
-          });
+    const url = source.getUrl(context.network);
+    let data = null;
+    try {
+      data = provenance.stamp(await source.extract(context), { source: source.name, url });
+      if (data && this.validateData(data)) {
+        return { source, data };
+      }
+      await this.recordFailure(source, context, { reason: 'validation', error: 'No valid data extracted', data });
+      return { source, data: null, error: 'No valid data extracted' };
+    } catch (error) {
+      console.log(`❌ Failed to scrape from ${source.name}:`, error.message);
+      await this.recordFailure(source, context, { reason: 'error', error: error.message, data });
+      return { source, data: null, error: error.message };
+    }
+  }
 
-          // Try to find percentage elements
-          if (!data.storageCapacity) {
-            const percentageElements = Array.from(document.querySelectorAll('*')).filter(el =>
-              el.textContent && el.textContent.match(/\d+\.\d+%/)
-            );
-            
-            if (percentageElements.length > 0) {
-              const text = percentageElements[0].textContent;
-              const match = text.match(/([\d.]+)%/);
-              if (match) {
-                data.storageCapacity = {
-                  percentage: parseFloat(match[1]),
-                  percentageDisplay: match[1] + '%'
-                };
-              }
-            }
-          }
+  // Storage node directory from the first enabled source that can list nodes
+  async scrapeNodes(networkName = networks.getDefaultName()) {
+    const network = networks.getNetwork(networkName);
+    if (!network) {
+      console.error(`❌ Unknown or disabled network: ${networkName}`);
+      return null;
+    }
 
-        } catch (error) {
-          console.log('Error during data extraction:', error.message);
-        }
+    const context = { network, pool: browserPool, timeout: this.timeout };
+    const sources = this.registry.getEnabled(network.name)
+      .filter(source => typeof source.extractNodes === 'function');
 
-        // Fallback: If we found storage capacity but no prices, use known values
-        // This is a temporary fix while we debug the price extraction
-        if (data.storageCapacity && !data.storagePrice && !data.writePrice) {
-          console.log('⚠️ Using fallback price values - real-time scraping failed');
-          data.dataSource = 'fallback';
-          data.storagePrice = {
-            value: 11000,
-            unit: 'FROST/MiB/EPOCH',
-            display: '11,000'
-          };
-          data.writePrice = {
-            value: 20000,
-            unit: 'FROST/MiB',
-            display: '20,000'
+    for (const source of sources) {
+      console.log(`📡 Listing ${network.name} storage nodes from ${source.name}...`);
+      const url = source.getUrl(network);
+      try {
+        const nodes = await source.extractNodes(context);
+        if (Array.isArray(nodes) && nodes.length > 0) {
+          const observedAt = new Date().toISOString();
+          const strategy = source.method === 'rpc' ? 'rpc' : 'text-regex';
+          return {
+            nodes,
+            dataSource: 'realtime',
+            timestamp: observedAt,
+            provenance: { ...provenance.create(strategy), source: source.name, url, observedAt }
           };
         }
+        await this.recordFailure(source, context, { reason: 'validation', error: 'No storage nodes listed', data: null });
+      } catch (error) {
+        console.log(`❌ Failed to list nodes from ${source.name}:`, error.message);
+        await this.recordFailure(source, context, { reason: 'error', error: error.message, data: null });
+      }
+    }
 
-        return data;
-      });
+    console.log(`⚠️ No source could list ${network.name} storage nodes`);
+    return null;
+  }
 
-      console.log('📊 Extracted data from', url, ':', walrusData);
-      return walrusData;
-      
-    } finally {
-      await page.close();
-    }
+  // Page sources capture their own forensics (screenshot, DOM) before the page closes
+  async recordFailure(source, context, { reason, error, data }) {
+    if (source.method === 'page') return;
+    await forensics.record({
+      source: source.name,
+      network: context.network?.name,
+      url: source.getUrl(context.network),
+      reason,
+      error,
+      data
+    });
   }
 
   validateData(data) {
@@ -355,23 +214,26 @@ class WalrusScraper {
     return isRealTimeData ? validFields.length >= 2 : validFields.length >= 3;
   }
 
-  // Enhanced validation for production use
-  validateDataStrict(data) {
+  // Enhanced validation for production use, against the network's own limits
+  validateDataStrict(data, networkName = networks.getDefaultName()) {
     if (!data || typeof data !== 'object') return false;
 
+    const { limits } = networks.NETWORKS[networkName] || networks.NETWORKS[networks.DEFAULT_NETWORK];
+    const inRange = (value, range) => value >= range.min && value <= range.max;
+
     // Ensure all critical fields exist and have reasonable values
-    const storageValid = data.storagePrice?.value >= 1000 && data.storagePrice?.value <= 100000;
-    const writeValid = data.writePrice?.value >= 1000 && data.writePrice?.value <= 100000;
+    const storageValid = inRange(data.storagePrice?.value, limits.price);
+    const writeValid = inRange(data.writePrice?.value, limits.price);
     const capacityValid = data.storageCapacity?.percentage >= 0 && data.storageCapacity?.percentage <= 100;
-    const epochValid = data.epoch?.number >= 1 && data.epoch?.number <= 10000;
+    const epochValid = inRange(data.epoch?.number, limits.epoch);
 
     return storageValid && writeValid && capacityValid && epochValid;
   }
 
   // Test method to check if scraping is working
-  async testScrape() {
-    console.log('🧪 Running test scrape...');
-    const result = await this.scrapeWalrusData();
+  async testScrape(networkName = networks.getDefaultName()) {
+    console.log(`🧪 Running ${networkName} test scrape...`);
+    const result = await this.scrapeWalrusData(networkName);
     
     if (result && this.validateData(result)) {
       console.log('✅ Test scrape successful:', result);
@@ -4,6 +4,10 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const scheduler = require('./utils/scheduler');
+const snapshotStore = require('./utils/snapshotStore');
+const anomalyDetector = require('./utils/anomalyDetector');
+const browserPool = require('./utils/browserPool');
+const extractionRules = require('./scrapers/extractionRules');
 require('dotenv').config();
 
 const app = express();
@@ -84,6 +88,7 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
+app.use('/api/admin', require('./routes/admin'));
 app.use('/api', require('./routes/api'));
 
 // Root endpoint - reduced information disclosure
@@ -96,7 +101,13 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       walrusData: '/api/walrus-data',
-      lastUpdate: '/api/last-update'
+      lastUpdate: '/api/last-update',
+      networks: '/api/networks',
+      epoch: '/api/epoch',
+      costEstimate: 'POST /api/cost-estimate',
+      nodes: '/api/nodes',
+      history: '/api/history?metric=storagePrice',
+      estimate: '/api/estimate'
     },
     // Only show scheduler info if not in production for security
     ...(process.env.NODE_ENV !== 'production' && {
@@ -123,7 +134,8 @@ app.get('/health', (req, res) => {
     // Include system info only in development
     ...(process.env.NODE_ENV === 'development' && {
       nodeVersion: process.version,
-      platform: process.platform
+      platform: process.platform,
+      browser: browserPool.getStatus()
     })
   });
 });
@@ -133,7 +145,7 @@ app.use('*', (req, res) => {
   res.status(404).json({
     error: 'Endpoint not found',
     message: 'The requested resource does not exist',
-    availableEndpoints: ['/health', '/api/walrus-data', '/api/last-update']
+    availableEndpoints: ['/health', '/api/walrus-data', '/api/last-update', '/api/networks', '/api/epoch', '/api/nodes', '/api/history', '/api/estimate']
   });
 });
 
@@ -182,19 +194,31 @@ app.listen(PORT, () => {
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🔗 API endpoints: http://localhost:${PORT}/api`);
   
-  // Start the daily scheduler
-  scheduler.start();
+  // Pick up edits to config/extraction-rules.json without a deploy
+  extractionRules.watch();
+
+  // Run snapshot store migrations before the first scrape is recorded
+  snapshotStore.init().finally(() => {
+    anomalyDetector.warnIfInactive();
+
+    // Start the daily scheduler
+    scheduler.start();
+  });
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server...');
   scheduler.stop();
+  await browserPool.close();
+  await snapshotStore.close();
   process.exit(0);
 });
 
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('\n🛑 Shutting down server...');
   scheduler.stop();
+  await browserPool.close();
+  await snapshotStore.close();
   process.exit(0);
 });
\ No newline at end of file
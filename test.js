@@ -101,7 +101,7 @@ async function runProductionReadinessCheck() {
       return hasNodeEnv && hasPort;
     }},
     { name: 'Memory Limit', check: () => process.memoryUsage().rss < 400 * 1024 * 1024 },
-    { name: 'Scraper URLs', check: () => walrusScraper.urls.length > 0 },
+    { name: 'Scraper Sources', check: () => walrusScraper.registry.getEnabled().length > 0 },
     { name: 'Cache System', check: () => require('./utils/cache') !== null },
     { name: 'Scheduler System', check: () => require('./utils/scheduler') !== null }
   ];
@@ -158,6 +158,96 @@ async function runTests() {
       const scraperTester = new ScraperTester();
       await scraperTester.runAllTests();
       break;
+    case 'parser':
+      const ParserTester = require('./tests/parser-test');
+      const parserTester = new ParserTester();
+      await parserTester.runAllTests();
+      break;
+    case 'consensus':
+      const ConsensusTester = require('./tests/consensus-test');
+      const consensusTester = new ConsensusTester();
+      await consensusTester.runAllTests();
+      break;
+    case 'rpc':
+      const RpcTester = require('./tests/rpc-test');
+      const rpcTester = new RpcTester();
+      await rpcTester.runAllTests();
+      break;
+    case 'forensics':
+      const ForensicsTester = require('./tests/forensics-test');
+      const forensicsTester = new ForensicsTester();
+      await forensicsTester.runAllTests();
+      break;
+    case 'network':
+      const NetworkTester = require('./tests/network-test');
+      const networkTester = new NetworkTester();
+      await networkTester.runAllTests();
+      break;
+    case 'nodes':
+      const NodesTester = require('./tests/nodes-test');
+      const nodesTester = new NodesTester();
+      await nodesTester.runAllTests();
+      break;
+    case 'epoch':
+      const EpochTester = require('./tests/epoch-test');
+      const epochTester = new EpochTester();
+      await epochTester.runAllTests();
+      break;
+    case 'cost':
+      const CostTester = require('./tests/cost-test');
+      const costTester = new CostTester();
+      await costTester.runAllTests();
+      break;
+    case 'fiat':
+      const FiatTester = require('./tests/fiat-test');
+      const fiatTester = new FiatTester();
+      await fiatTester.runAllTests();
+      break;
+    case 'units':
+      const UnitsTester = require('./tests/units-test');
+      const unitsTester = new UnitsTester();
+      await unitsTester.runAllTests();
+      break;
+    case 'snapshots':
+      const SnapshotsTester = require('./tests/snapshots-test');
+      const snapshotsTester = new SnapshotsTester();
+      await snapshotsTester.runAllTests();
+      break;
+    case 'history':
+      const HistoryTester = require('./tests/history-test');
+      const historyTester = new HistoryTester();
+      await historyTester.runAllTests();
+      break;
+    case 'cache':
+      const CacheTester = require('./tests/cache-test');
+      const cacheTester = new CacheTester();
+      await cacheTester.runAllTests();
+      break;
+    case 'revalidate':
+      const RevalidateTester = require('./tests/revalidate-test');
+      const revalidateTester = new RevalidateTester();
+      await revalidateTester.runAllTests();
+      break;
+    case 'coordinator':
+      const CoordinatorTester = require('./tests/coordinator-test');
+      const coordinatorTester = new CoordinatorTester();
+      await coordinatorTester.runAllTests();
+      break;
+    case 'inherit':
+      const InheritTester = require('./tests/inherit-test');
+      const inheritTester = new InheritTester();
+      await inheritTester.runAllTests();
+      break;
+    case 'estimate':
+      const EstimateTester = require('./tests/estimate-test');
+      const estimateTester = new EstimateTester();
+      await estimateTester.runAllTests();
+      break;
+    case 'quarantine':
+      const QuarantineTester = require('./tests/quarantine-test');
+      const quarantineTester = new QuarantineTester();
+      await quarantineTester.runAllTests();
+      break;
     default:
       console.log('Usage: node test.js [quick|full|production|security|scraper]');
       console.log('  quick      - Fast functionality tests (default)');
@@ -165,12 +255,33 @@ async function runTests() {
       console.log('  production - Render.com readiness check');
       console.log('  security   - Security and API tests (requires running server)');
       console.log('  scraper    - Detailed scraper tests');
+      console.log('  parser     - Offline extraction tests over saved page fixtures');
+      console.log('  consensus  - Multi-source consensus tests');
+      console.log('  rpc        - Sui JSON-RPC source tests (local mock server)');
+      console.log('  forensics  - Failure capture ring buffer and admin endpoint tests');
+      console.log('  network    - Mainnet/testnet config, sources and routes');
+      console.log('  nodes      - Storage node directory RPC mapping and query options');
+      console.log('  epoch      - Epoch timing, schedule projection and /api/epoch');
+      console.log('  cost       - Blob cost calculator, single and batch quotes');
+      console.log('  fiat       - WAL price feed (local stub) and ?currency= conversion');
+      console.log('  units      - Unit conversion, locale formatting and TB capacity displays');
+      console.log('  snapshots  - SQLite snapshot store, migrations and scrape recording');
+      console.log('  history    - /api/history metrics, downsampling and cursor pagination');
+      console.log('  cache      - Durable cache persistence and restore on startup');
+      console.log('  revalidate - Stale-while-revalidate serving and background refresh');
+      console.log('  coordinator - Single-flight scrapes, max wait and cancellation');
+      console.log('  inherit    - Last known values for fields a scrape missed');
+      console.log('  estimate   - Estimates fitted to history, error bands and /api/estimate');
+      console.log('  quarantine - Anomaly detection, quarantined scrapes and admin review');
   }
 }
 
 // Run tests if this file is executed directly
 if (require.main === module) {
-  runTests().catch(console.error);
+  runTests()
+    .catch(console.error)
+    // Shut the pooled browser down so the test process can exit
+    .finally(() => require('./utils/browserPool').close());
 }
 
 module.exports = { runTests, runQuickTests, runFullTests, runProductionReadinessCheck };
\ No newline at end of file
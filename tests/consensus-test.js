@@ -0,0 +1,139 @@
+// Multi-source consensus tests - pure, no network
+const { ConsensusBuilder } = require('../scrapers/consensus');
+
+const sourceData = (storage, write, percentage, epoch, dataSource = 'realtime') => ({
+  storagePrice: { value: storage, unit: 'FROST/MiB/EPOCH', display: storage.toLocaleString('en-US') },
+  writePrice: { value: write, unit: 'FROST/MiB', display: write.toLocaleString('en-US') },
+  storageCapacity: { used: 644, total: 4167, percentage, percentageDisplay: `${percentage}%` },
+  epoch: { number: epoch, display: `Epoch ${epoch}` },
+  dataSource
+});
+
+class ConsensusTester {
+  constructor() {
+    this.results = [];
+    this.builder = new ConsensusBuilder({ tolerance: 0.05 });
+  }
+
+  async runAllTests() {
+    console.log('🤝 Starting consensus tests...\n');
+
+    const tests = [
+      this.testAgreement.bind(this),
+      this.testOutlierPrice.bind(this),
+      this.testEpochMajority.bind(this),
+      this.testFallbackPricesIgnored.bind(this),
+      this.testFailedSourcesListed.bind(this)
+    ];
+
+    for (const test of tests) {
+      try {
+        console.log(`\n🧪 Running: ${test.name.replace('bound test', '').replace(/([A-Z])/g, ' $1').trim()}`);
+        await test();
+      } catch (error) {
+        this.logResult('ERROR', test.name, `Failed: ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+  }
+
+  result(name, data, error) {
+    return { source: { name }, data, ...(error && { error }) };
+  }
+
+  async testAgreement() {
+    const data = this.builder.build([
+      this.result('sui-rpc', sourceData(11000, 20000, 15.45, 12)),
+      this.result('walruscan', sourceData(11000, 20000, 15.46, 12))
+    ]);
+
+    this.logResult(data.consensus.agreed ? 'PASS' : 'FAIL', 'Agreement', 'No disagreements flagged');
+    this.logResult(data.storageCapacity.percentage === 15.455 ? 'PASS' : 'FAIL',
+      'Median Of Two', `${data.storageCapacity.percentage}%`);
+  }
+
+  async testOutlierPrice() {
+    const data = this.builder.build([
+      this.result('sui-rpc', sourceData(11000, 20000, 15.45, 12)),
+      this.result('walruscan', sourceData(11000, 20000, 15.45, 12)),
+      this.result('stale-explorer', sourceData(15000, 20000, 15.45, 12))
+    ]);
+
+    this.logResult(data.storagePrice.value === 11000 ? 'PASS' : 'FAIL',
+      'Median Ignores Outlier', `${data.storagePrice.value}`);
+    this.logResult(data.consensus.disagreements.includes('storagePrice') ? 'PASS' : 'FAIL',
+      'Outlier Flagged', data.consensus.disagreements.join(', ') || 'none');
+    this.logResult(data.consensus.fields.storagePrice.sources['stale-explorer'] === 15000 ? 'PASS' : 'FAIL',
+      'Per-Source Values', JSON.stringify(data.consensus.fields.storagePrice.sources));
+    this.logResult(!data.consensus.disagreements.includes('writePrice') ? 'PASS' : 'FAIL',
+      'Other Fields Unaffected', 'writePrice agreed');
+  }
+
+  async testEpochMajority() {
+    const data = this.builder.build([
+      this.result('a', sourceData(11000, 20000, 15.45, 12)),
+      this.result('b', sourceData(11000, 20000, 15.45, 12)),
+      this.result('c', sourceData(11000, 20000, 15.45, 11))
+    ]);
+
+    this.logResult(data.epoch.number === 12 ? 'PASS' : 'FAIL', 'Epoch Majority', data.epoch.display);
+    this.logResult(data.consensus.fields.epoch.disagreement ? 'PASS' : 'FAIL',
+      'Epoch Mismatch Flagged', 'Any epoch difference is a disagreement');
+  }
+
+  async testFallbackPricesIgnored() {
+    const data = this.builder.build([
+      this.result('sui-rpc', sourceData(12000, 24000, 15.45, 12)),
+      this.result('walruscan', sourceData(11000, 20000, 15.45, 12, 'fallback'))
+    ]);
+
+    this.logResult(data.storagePrice.value === 12000 && !data.consensus.fields.storagePrice.disagreement ? 'PASS' : 'FAIL',
+      'Fallback Prices Excluded', `${data.storagePrice.value}`);
+    this.logResult(Object.keys(data.consensus.fields.storageCapacity.sources).length === 2 ? 'PASS' : 'FAIL',
+      'Fallback Capacity Counted', 'Capacity from fallback result still votes');
+  }
+
+  async testFailedSourcesListed() {
+    const data = this.builder.build([
+      this.result('sui-rpc', sourceData(11000, 20000, 15.45, 12)),
+      this.result('walruscan', null, 'Navigation timeout')
+    ]);
+
+    const failed = data.consensus.sources.find(source => source.name === 'walruscan');
+    this.logResult(failed && !failed.ok && failed.error === 'Navigation timeout' ? 'PASS' : 'FAIL',
+      'Failed Source Reported', failed ? failed.error : 'Missing');
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🤝 CONSENSUS TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All consensus tests passed!');
+    } else {
+      console.log('\n⚠️ Some consensus tests failed.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new ConsensusTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = ConsensusTester;
@@ -0,0 +1,319 @@
+// Single-flight scrape tests: concurrent callers share one scrape, each with its own max
+// wait and cancellation, across the coordinator, the scheduler, /api/test-scraper and admin
+const http = require('http');
+const express = require('express');
+const cache = require('../utils/cache');
+const networks = require('../config/networks');
+const scheduler = require('../utils/scheduler');
+const walrusScraper = require('../scrapers/walrusScraper');
+const snapshotStore = require('../utils/snapshotStore');
+const scrapeCoordinator = require('../utils/scrapeCoordinator');
+const { ScrapeCoordinator } = require('../utils/scrapeCoordinator');
+const { scrapedData } = require('./fixtures/scrapedData');
+
+const ADMIN_KEY = 'test-admin-key';
+const KEY = networks.cacheKey('mainnet');
+
+class CoordinatorTester {
+  constructor() {
+    this.results = [];
+    this.scrapeCalls = 0;
+    this.pending = [];
+  }
+
+  async runAllTests() {
+    console.log('🔗 Starting single-flight scrape tests...\n');
+
+    // Scrapes wait until the test settles them; the signal each one was given is kept
+    const originalScrape = walrusScraper.scrapeWalrusData;
+    const originalScrapeNodes = walrusScraper.scrapeNodes;
+    const originalSnapshotsEnabled = snapshotStore.enabled;
+    walrusScraper.scrapeWalrusData = (networkName, { signal, supplement } = {}) => {
+      this.scrapeCalls++;
+      return new Promise(resolve => this.pending.push({ resolve, signal, supplement }));
+    };
+    walrusScraper.scrapeNodes = async () => null;
+    snapshotStore.enabled = false;
+    const hadMainnet = cache.get(KEY);
+
+    const tests = [
+      this.testSharedScrape.bind(this),
+      this.testMaxWait.bind(this),
+      this.testCancellation.bind(this),
+      this.testFailureReleases.bind(this),
+      this.testRoutesAndScheduler.bind(this),
+      this.testAdminTrigger.bind(this),
+      this.testSupplementScheduledOnly.bind(this)
+    ];
+
+    try {
+      for (const test of tests) {
+        try {
+          console.log(`\n🧪 Running: ${test.name.replace('bound test', '').replace(/([A-Z])/g, ' $1').trim()}`);
+          await test();
+        } catch (error) {
+          this.logResult('ERROR', test.name, `Failed: ${error.message}`);
+        }
+        this.settle(null);
+        await scheduler.refreshes.mainnet;
+        delete scheduler.networkRuns.mainnet;
+      }
+    } finally {
+      walrusScraper.scrapeWalrusData = originalScrape;
+      walrusScraper.scrapeNodes = originalScrapeNodes;
+      snapshotStore.enabled = originalSnapshotsEnabled;
+      cache.delete(KEY);
+      if (hadMainnet) cache.set(KEY, hadMainnet);
+    }
+
+    this.printSummary();
+  }
+
+  // Resolve every scrape still pending
+  settle(data) {
+    this.pending.splice(0).forEach(({ resolve }) => resolve(data));
+  }
+
+  // Let queued callbacks run so a scrape started by one caller is visible to the next
+  tick() {
+    return new Promise(resolve => setImmediate(resolve));
+  }
+
+  async testSharedScrape() {
+    const coordinator = new ScrapeCoordinator();
+    const before = this.scrapeCalls;
+
+    const waits = Array.from({ length: 5 }, (_, i) => coordinator.scrape('mainnet', { caller: `caller-${i}` }));
+    await this.tick();
+    const status = coordinator.getStatus();
+    this.settle(scrapedData());
+    const results = await Promise.all(waits);
+
+    this.logResult(this.scrapeCalls - before === 1 && results.every(result => result.data?.storagePrice?.value === 11000) ? 'PASS' : 'FAIL',
+      'One Scrape For Five Callers', `${this.scrapeCalls - before} scrape(s)`);
+    this.logResult(results.filter(result => result.joined).length === 4 && status[0]?.waiters === 5 &&
+      status[0]?.caller === 'caller-0' ? 'PASS' : 'FAIL',
+      'Joiners Reported', `${status[0]?.waiters} waiting, started by ${status[0]?.caller}`);
+    this.logResult(!coordinator.isScraping('mainnet') ? 'PASS' : 'FAIL', 'Flight Cleared', 'No scrape left in flight');
+  }
+
+  async testMaxWait() {
+    const coordinator = new ScrapeCoordinator();
+    const patient = coordinator.scrape('mainnet', { caller: 'patient' });
+    const hasty = await coordinator.scrape('mainnet', { caller: 'hasty', maxWaitMs: 20 });
+    const signal = this.pending[0]?.signal;
+
+    this.logResult(hasty.outcome === 'timeout' && hasty.data === null && signal && !signal.aborted ? 'PASS' : 'FAIL',
+      'Max Wait Per Caller', `outcome: ${hasty.outcome}, scrape aborted: ${signal?.aborted}`);
+
+    this.settle(scrapedData());
+    const result = await patient;
+    this.logResult(result.outcome === 'completed' && result.data?.storagePrice?.value === 11000 ? 'PASS' : 'FAIL',
+      'Others Keep Waiting', `outcome: ${result.outcome}`);
+  }
+
+  async testCancellation() {
+    const coordinator = new ScrapeCoordinator();
+
+    // The last caller to leave cancels the scrape itself
+    const controller = new AbortController();
+    const alone = coordinator.scrape('mainnet', { caller: 'alone', signal: controller.signal });
+    await this.tick();
+    const signal = this.pending[this.pending.length - 1]?.signal;
+    controller.abort();
+    const left = await alone;
+    this.logResult(left.outcome === 'cancelled' && signal?.aborted && !coordinator.isScraping('mainnet') ? 'PASS' : 'FAIL',
+      'Caller Signal Cancels', `outcome: ${left.outcome}, scrape aborted: ${signal?.aborted}`);
+    this.settle(null);
+
+    // cancel() releases every waiter at once, and the next caller starts a new scrape
+    const waits = [coordinator.scrape('mainnet', { caller: 'a' }), coordinator.scrape('mainnet', { caller: 'b' })];
+    await this.tick();
+    const cancelled = coordinator.cancel('mainnet');
+    const results = await Promise.all(waits);
+    const before = this.scrapeCalls;
+    const next = coordinator.scrape('mainnet', { caller: 'next' });
+    await this.tick();
+    this.logResult(cancelled && results.every(result => result.outcome === 'cancelled') &&
+      this.scrapeCalls - before === 1 ? 'PASS' : 'FAIL',
+      'Cancel Releases Everyone', `${results.map(result => result.outcome).join(', ')}; new scrape started`);
+    this.settle(null);
+    await next;
+  }
+
+  async testFailureReleases() {
+    const coordinator = new ScrapeCoordinator();
+    const failed = coordinator.scrape('mainnet', { caller: 'first' });
+    await this.tick();
+    this.settle(null);
+    const result = await failed;
+
+    const before = this.scrapeCalls;
+    const retry = coordinator.scrape('mainnet', { caller: 'retry' });
+    await this.tick();
+    this.logResult(result.outcome === 'failed' && this.scrapeCalls - before === 1 ? 'PASS' : 'FAIL',
+      'Failure Not Shared Later', `outcome: ${result.outcome}, retry started a new scrape`);
+    this.settle(null);
+    await retry;
+  }
+
+  // A background refresh and concurrent /api/test-scraper requests share the same scrape
+  async testRoutesAndScheduler() {
+    const server = await this.listen(app => app.use('/api', require('../routes/api')));
+    const before = this.scrapeCalls;
+
+    try {
+      cache.delete(KEY);
+      const refresh = scheduler.scrapeNetwork('mainnet', 'cache-miss');
+      const requests = [this.request(server, '/api/test-scraper'), this.request(server, '/api/test-scraper')];
+      for (let i = 0; i < 200 && scrapeCoordinator.getStatus()[0]?.waiters !== 3; i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      this.settle(scrapedData({ storagePrice: 12000 }));
+      const responses = await Promise.all(requests);
+      await refresh;
+
+      this.logResult(this.scrapeCalls - before === 1 && responses.every(response => response.body.scraperWorking &&
+        response.body.joined) ? 'PASS' : 'FAIL',
+        'Route And Scheduler Coalesce', `${this.scrapeCalls - before} scrape(s) for 1 refresh + 2 test requests`);
+      this.logResult(cache.get(KEY)?.storagePrice?.value === 12000 ? 'PASS' : 'FAIL',
+        'Shared Result Cached', `storagePrice: ${cache.get(KEY)?.storagePrice?.value}`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  async testAdminTrigger() {
+    const originalKey = process.env.ADMIN_API_KEY;
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    const server = await this.listen(app => app.use('/api/admin', require('../routes/admin')));
+    const headers = { 'x-admin-key': ADMIN_KEY };
+    const before = this.scrapeCalls;
+
+    try {
+      const started = await this.request(server, '/api/admin/refresh/mainnet', { method: 'POST', headers });
+      const again = this.request(server, '/api/admin/refresh/mainnet?wait=true', { method: 'POST', headers });
+      const listed = await this.request(server, '/api/admin/scrapes', { headers });
+      this.logResult(started.statusCode === 202 && this.scrapeCalls - before === 1 &&
+        listed.body.scrapes?.[0]?.caller === 'admin refresh' ? 'PASS' : 'FAIL',
+        'Admin Trigger Shares Scrape', `Status: ${started.statusCode}, in flight: ${JSON.stringify(listed.body.scrapes)}`);
+
+      this.settle(scrapedData({ storagePrice: 13000 }));
+      const waited = await again;
+      this.logResult(waited.body.success === true && waited.body.outcome === 'completed' &&
+        cache.get(KEY)?.storagePrice?.value === 13000 ? 'PASS' : 'FAIL',
+        'Admin Wait For Result', `outcome: ${waited.body.outcome}`);
+
+      scheduler.scrapeNetwork('mainnet', 'admin');
+      await this.tick();
+      const cancelled = await this.request(server, '/api/admin/scrapes/mainnet', { method: 'DELETE', headers });
+      const missing = await this.request(server, '/api/admin/scrapes/mainnet', { method: 'DELETE', headers });
+      this.logResult(cancelled.body.cancelled === true && missing.statusCode === 404 ? 'PASS' : 'FAIL',
+        'Admin Cancel', `Status: ${cancelled.statusCode}, then ${missing.statusCode}`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      if (originalKey === undefined) {
+        delete process.env.ADMIN_API_KEY;
+      } else {
+        process.env.ADMIN_API_KEY = originalKey;
+      }
+    }
+  }
+
+  // Staking / network sections are only topped up from a later source on the daily refresh
+  async testSupplementScheduledOnly() {
+    scheduler.scrapeNetwork('mainnet', 'scheduled');
+    await this.tick();
+    const scheduled = this.pending[this.pending.length - 1]?.supplement;
+    this.settle(null);
+    await scheduler.refreshes.mainnet;
+
+    scheduler.scrapeNetwork('mainnet', 'cache-miss');
+    await this.tick();
+    const onRequest = this.pending[this.pending.length - 1]?.supplement;
+    this.settle(null);
+    await scheduler.refreshes.mainnet;
+
+    this.logResult(scheduled === true && onRequest === false ? 'PASS' : 'FAIL',
+      'Supplement Requested On Schedule', `scheduled: ${scheduled}, cache-miss: ${onRequest}`);
+
+    // The scraper only runs the later source when supplementing applies
+    const originalGetEnabled = walrusScraper.registry.getEnabled;
+    const originalRunSource = walrusScraper.runSource;
+    const runs = [];
+    walrusScraper.registry.getEnabled = () => [
+      { name: 'rpc', provides: [] },
+      { name: 'page', provides: ['staking', 'network'] }
+    ];
+    walrusScraper.runSource = async (source) => {
+      runs.push(source.name);
+      return { data: source.name === 'rpc' ? scrapedData() : { staking: { totalStaked: 1 } } };
+    };
+
+    try {
+      const context = (supplement) => ({ network: networks.getNetwork('mainnet'), supplement });
+      const plain = await walrusScraper.scrapeFirstValid(context(false));
+      const plainRuns = runs.splice(0).join(',');
+      const topped = await walrusScraper.scrapeFirstValid(context(true));
+      const toppedRuns = runs.splice(0).join(',');
+
+      this.logResult(plainRuns === 'rpc' && !plain.staking && toppedRuns === 'rpc,page' && topped.staking?.totalStaked === 1 ? 'PASS' : 'FAIL',
+        'Page Source Skipped Without Supplement', `without: ${plainRuns}, with: ${toppedRuns}`);
+    } finally {
+      walrusScraper.registry.getEnabled = originalGetEnabled;
+      walrusScraper.runSource = originalRunSource;
+    }
+  }
+
+  async listen(mount) {
+    const app = express();
+    mount(app);
+    return new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+  }
+
+  request(server, urlPath, { method = 'GET', headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port: server.address().port, path: urlPath, method, headers }, (res) => {
+        let raw = '';
+        res.on('data', chunk => raw += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(raw) }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🔗 SINGLE-FLIGHT TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All single-flight tests passed!');
+    } else {
+      console.log('\n⚠️ Some single-flight tests failed.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new CoordinatorTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = CoordinatorTester;
@@ -0,0 +1,186 @@
+// Blob cost calculator tests: size parsing, encoded size, single and batch quotes
+const http = require('http');
+const express = require('express');
+const cache = require('../utils/cache');
+const networks = require('../config/networks');
+const costCalculator = require('../utils/costCalculator');
+
+const MIB = 1024 * 1024;
+
+class CostTester {
+  constructor() {
+    this.results = [];
+  }
+
+  async runAllTests() {
+    console.log('🧮 Starting cost calculator tests...\n');
+
+    const tests = [
+      this.testSizeParsing.bind(this),
+      this.testEncodedSize.bind(this),
+      this.testEstimate.bind(this),
+      this.testRoute.bind(this)
+    ];
+
+    for (const test of tests) {
+      try {
+        console.log(`\n🧪 Running: ${test.name.replace('bound test', '').replace(/([A-Z])/g, ' $1').trim()}`);
+        await test();
+      } catch (error) {
+        this.logResult('ERROR', test.name, `Failed: ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+  }
+
+  async testSizeParsing() {
+    const cases = [
+      [1048576, 1048576],
+      ['10 MiB', 10 * MIB],
+      ['1.5GB', 1.5e9],
+      ['512 kib', 512 * 1024],
+      ['2048', 2048],
+      ['0', null],
+      ['-5 MB', null],
+      ['10 parsecs', null],
+      [1.5, null]
+    ];
+
+    const failures = cases.filter(([input, expected]) => costCalculator.parseSize(input) !== expected);
+    this.logResult(failures.length === 0 ? 'PASS' : 'FAIL', 'Size Parsing',
+      failures.length === 0 ? `${cases.length} inputs` : `Wrong for: ${failures.map(([input]) => JSON.stringify(input)).join(', ')}`);
+  }
+
+  async testEncodedSize() {
+    // 1000 shards: 334 primary and 667 secondary source symbols per sliver
+    const encoded = costCalculator.getEncodedSize(10 * MIB, 1000);
+    this.logResult(encoded.symbolSize === 48 && encoded.bytes === 48048000 + 64032000 ? 'PASS' : 'FAIL',
+      'Erasure Coding Overhead', `10 MiB -> ${encoded.bytes} bytes (symbol size ${encoded.symbolSize})`);
+
+    // A tiny blob still pays for one symbol per sliver plus the metadata on every shard
+    const tiny = costCalculator.getEncodedSize(1, 1000);
+    this.logResult(tiny.metadataBytes === 1000 * (1000 * 64 + 32) && tiny.bytes === 1000 * 1001 * 2 + 64032000 &&
+      costCalculator.estimate({ bytes: 1, epochs: 1, storagePrice: 1, writePrice: 1 }).storageUnits === 63 ? 'PASS' : 'FAIL',
+      'Metadata Minimum', `1 byte -> ${tiny.bytes} bytes`);
+  }
+
+  async testEstimate() {
+    const estimate = costCalculator.estimate({ bytes: 10 * MIB, epochs: 5, storagePrice: 11000, writePrice: 20000 });
+
+    this.logResult(estimate.storageUnits === 107 ? 'PASS' : 'FAIL', 'Storage Units', `${estimate.storageUnits} MiB units`);
+    this.logResult(estimate.writeCost.frost === 107 * 20000 && estimate.storageCost.frost === 107 * 11000 * 5 ? 'PASS' : 'FAIL',
+      'Write And Storage Cost', `${estimate.writeCost.frost} + ${estimate.storageCost.frost} FROST`);
+    this.logResult(estimate.totalCost.wal === 0.008025 ? 'PASS' : 'FAIL', 'WAL Conversion', estimate.totalCost.display);
+  }
+
+  async testRoute() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../routes/api'));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const post = (body) => this.makeRequest(server.address().port, '/api/cost-estimate', body);
+
+    const key = networks.cacheKey('mainnet');
+    const hadMainnet = cache.get(key);
+    cache.set(key, {
+      storagePrice: { value: 11000, unit: 'FROST/MiB/EPOCH' },
+      writePrice: { value: 20000, unit: 'FROST/MiB' },
+      epoch: { number: 42 },
+      network: { shards: 1000 },
+      dataSource: 'realtime'
+    }, 60);
+
+    try {
+      const quote = await post({ size: '10 MiB', epochs: 5 });
+      this.logResult(quote.statusCode === 200 && quote.body.estimate?.totalCost?.frost === 8025000 ? 'PASS' : 'FAIL',
+        'Quote From Cached Prices', quote.body.estimate?.totalCost?.display || `Status: ${quote.statusCode}`);
+      this.logResult(quote.body.pricing?.storagePrice?.value === 11000 && quote.body.pricing?.epoch === 42 &&
+        quote.body.pricing?.shards === 1000 ? 'PASS' : 'FAIL', 'Price Snapshot', JSON.stringify(quote.body.pricing?.epoch));
+
+      const badEpochs = await post({ size: 1024, epochs: 54 });
+      this.logResult(badEpochs.statusCode === 400 ? 'PASS' : 'FAIL', 'Epochs Limit', badEpochs.body.message);
+
+      const badSize = await post({ size: '20 TB', epochs: 1 });
+      this.logResult(badSize.statusCode === 400 && /maximum blob size/.test(badSize.body.message) ? 'PASS' : 'FAIL',
+        'Maximum Blob Size', badSize.body.message);
+
+      const batch = await this.makeRequest(server.address().port, '/api/cost-estimate/batch', {
+        entries: [
+          { id: 'a.png', sizeBytes: 10 * MIB, epochs: 5 },
+          { id: 'b.bin', sizeBytes: 'lots', epochs: 5 },
+          { id: 'c.txt', sizeBytes: 10 * MIB, epochs: 5 }
+        ]
+      });
+      const [first, second] = batch.body.entries || [];
+      this.logResult(batch.statusCode === 200 && first?.ok && second?.ok === false && second?.row === 2 ? 'PASS' : 'FAIL',
+        'Batch Errors Per Row', second?.error || `Status: ${batch.statusCode}`);
+      this.logResult(batch.body.summary?.valid === 2 && batch.body.summary?.totalCost?.frost === 2 * 8025000 ? 'PASS' : 'FAIL',
+        'Batch Totals', batch.body.summary?.totalCost?.display || 'Missing');
+
+      const csv = 'id,sizeBytes,epochs\n"report, final.pdf",10 MiB,5\nbroken.bin,1024,99\n';
+      const csvBatch = await this.makeRequest(server.address().port, '/api/cost-estimate/batch', csv, 'text/csv');
+      const csvRows = csvBatch.body.entries || [];
+      this.logResult(csvRows[0]?.id === 'report, final.pdf' && csvRows[0]?.totalCostFrost === 8025000 &&
+        csvRows[1]?.ok === false && csvRows[1]?.row === 3 ? 'PASS' : 'FAIL',
+        'CSV Manifest', csvRows.map(row => `${row.row}: ${row.ok ? row.totalCostFrost : row.error}`).join('; '));
+    } finally {
+      cache.delete(key);
+      if (hadMainnet) cache.set(key, hadMainnet);
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  makeRequest(port, urlPath, body, contentType = 'application/json') {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port,
+        path: urlPath,
+        method: 'POST',
+        headers: { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(payload) }
+      }, (res) => {
+        let raw = '';
+        res.on('data', chunk => raw += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(raw) }));
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🧮 COST CALCULATOR TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All cost calculator tests passed!');
+    } else {
+      console.log('\n⚠️ Some cost calculator tests failed.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new CostTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = CostTester;
@@ -0,0 +1,201 @@
+// Fiat conversion tests: HTTP price feed against a local stub, rate caching and ?currency=
+const http = require('http');
+const express = require('express');
+const cache = require('../utils/cache');
+const networks = require('../config/networks');
+const priceFeed = require('../utils/priceFeed');
+const { PriceFeed } = require('../utils/priceFeed');
+const { createHttpJsonFeed } = require('../utils/priceFeeds/httpJson');
+
+class FiatTester {
+  constructor() {
+    this.results = [];
+    this.stub = null;
+    this.stubRequests = 0;
+    this.stubPrices = { usd: 0.5, eur: 0.45 };
+  }
+
+  async runAllTests() {
+    console.log('💱 Starting fiat conversion tests...\n');
+
+    await this.startStubFeed();
+
+    const tests = [
+      this.testHttpFeed.bind(this),
+      this.testRateCaching.bind(this),
+      this.testRoutes.bind(this)
+    ];
+
+    try {
+      for (const test of tests) {
+        try {
+          console.log(`\n🧪 Running: ${test.name.replace('bound test', '').replace(/([A-Z])/g, ' $1').trim()}`);
+          await test();
+        } catch (error) {
+          this.logResult('ERROR', test.name, `Failed: ${error.message}`);
+        }
+      }
+    } finally {
+      await new Promise(resolve => this.stub.close(resolve));
+    }
+
+    this.printSummary();
+  }
+
+  // Answers like CoinGecko's simple price API
+  startStubFeed() {
+    this.stub = http.createServer((req, res) => {
+      this.stubRequests++;
+      const currency = new URL(req.url, 'http://stub').searchParams.get('vs_currencies');
+      if (req.url.startsWith('/down')) {
+        res.writeHead(502);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ 'walrus-2': { [currency]: this.stubPrices[currency] } }));
+    });
+
+    return new Promise(resolve => this.stub.listen(0, '127.0.0.1', resolve));
+  }
+
+  stubUrl(pathname = '/simple/price') {
+    return `http://127.0.0.1:${this.stub.address().port}${pathname}?ids=walrus-2&vs_currencies={currency}`;
+  }
+
+  async testHttpFeed() {
+    const feed = createHttpJsonFeed({ url: this.stubUrl() });
+    const rate = await feed.fetchRate('usd');
+    this.logResult(rate === 0.5 ? 'PASS' : 'FAIL', 'Rate From Feed', `1 WAL = ${rate} USD`);
+
+    let error = null;
+    try {
+      await feed.fetchRate('jpy');
+    } catch (caught) {
+      error = caught.message;
+    }
+    this.logResult(error ? 'PASS' : 'FAIL', 'Missing Currency Rejected', error || 'No error');
+
+    const converted = new PriceFeed({ adapter: feed }).convert(11000, { currency: 'usd', rate: 0.5 });
+    this.logResult(converted.value === 0.0000055 && converted.display === '0.00000550 USD' ? 'PASS' : 'FAIL',
+      'FROST Conversion', converted.display);
+  }
+
+  async testRateCaching() {
+    const feed = new PriceFeed({ adapter: createHttpJsonFeed({ url: this.stubUrl() }), currencies: 'eur', ttl: 60 });
+    cache.delete('fiat-rate:eur');
+    const before = this.stubRequests;
+
+    const first = await feed.getRate('eur');
+    const second = await feed.getRate('eur');
+    this.logResult(first?.rate === 0.45 && second?.fetchedAt === first?.fetchedAt && this.stubRequests - before === 1 ? 'PASS' : 'FAIL',
+      'Rate Cached For TTL', `${this.stubRequests - before} feed request(s) for 2 lookups`);
+
+    const down = new PriceFeed({ adapter: createHttpJsonFeed({ url: this.stubUrl('/down') }), currencies: 'gbp' });
+    cache.delete('fiat-rate:gbp');
+    this.logResult(await down.getRate('gbp') === null ? 'PASS' : 'FAIL', 'Feed Failure', 'Returns null');
+    cache.delete('fiat-rate:eur');
+  }
+
+  async testRoutes() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../routes/api'));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const request = (urlPath, body) => this.makeRequest(server.address().port, urlPath, body);
+
+    const originalAdapter = priceFeed.adapter;
+    priceFeed.setAdapter(createHttpJsonFeed({ url: this.stubUrl() }));
+    cache.delete('fiat-rate:usd');
+
+    const key = networks.cacheKey('mainnet');
+    const hadMainnet = cache.get(key);
+    cache.set(key, {
+      storagePrice: { value: 11000, unit: 'FROST/MiB/EPOCH' },
+      writePrice: { value: 20000, unit: 'FROST/MiB' },
+      epoch: { number: 42 },
+      dataSource: 'realtime'
+    }, 60);
+
+    try {
+      const data = await request('/api/walrus-data?currency=usd');
+      this.logResult(data.body.data?.storagePrice?.fiat?.value === 0.0000055 && data.body.fiat?.rate === 0.5 ? 'PASS' : 'FAIL',
+        'Price Fiat Blocks', data.body.data?.storagePrice?.fiat?.display || 'Missing');
+
+      const plain = await request('/api/walrus-data');
+      this.logResult(!plain.body.data?.storagePrice?.fiat && !plain.body.fiat ? 'PASS' : 'FAIL',
+        'FROST Only By Default', 'No fiat without ?currency=');
+
+      const quote = await request('/api/cost-estimate?currency=usd', { size: '10 MiB', epochs: 5 });
+      this.logResult(quote.body.estimate?.totalCost?.fiat?.value === 0.0040125 ? 'PASS' : 'FAIL',
+        'Cost Estimate Fiat', quote.body.estimate?.totalCost?.fiat?.display || `Status: ${quote.statusCode}`);
+
+      const invalid = await request('/api/walrus-data?currency=doge');
+      this.logResult(invalid.statusCode === 400 ? 'PASS' : 'FAIL', 'Unsupported Currency', invalid.body.message);
+
+      priceFeed.setAdapter(createHttpJsonFeed({ url: this.stubUrl('/down') }));
+      cache.delete('fiat-rate:usd');
+      const down = await request('/api/walrus-data?currency=usd');
+      this.logResult(down.statusCode === 200 && down.body.fiat?.error && !down.body.data?.storagePrice?.fiat ? 'PASS' : 'FAIL',
+        'Feed Down Keeps Response', down.body.fiat?.error || `Status: ${down.statusCode}`);
+    } finally {
+      priceFeed.setAdapter(originalAdapter);
+      cache.delete('fiat-rate:usd');
+      cache.delete(key);
+      if (hadMainnet) cache.set(key, hadMainnet);
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  makeRequest(port, urlPath, body) {
+    const payload = body ? JSON.stringify(body) : null;
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port,
+        path: urlPath,
+        method: payload ? 'POST' : 'GET',
+        headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+      }, (res) => {
+        let raw = '';
+        res.on('data', chunk => raw += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(raw) }));
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('💱 FIAT TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All fiat tests passed!');
+    } else {
+      console.log('\n⚠️ Some fiat tests failed.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new FiatTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = FiatTester;
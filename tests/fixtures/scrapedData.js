@@ -0,0 +1,27 @@
+// A scrape that passes strict validation, as the sui-rpc source returns it. Shared by the
+// suites that stub scrapeWalrusData; override only what a test is about.
+const scrapedData = ({
+  storagePrice = 11000,
+  writePrice = 20000,
+  used = 644,
+  total = 4167,
+  epoch = 42,
+  dataSource = 'realtime',
+  strategy = 'rpc',
+  observedAt,
+  timestamp = observedAt || new Date().toISOString()
+} = {}) => {
+  const provenance = () => ({ source: 'sui-rpc', strategy, confidence: 0.99, ...(observedAt && { observedAt }) });
+  return {
+    storagePrice: { value: storagePrice, unit: 'FROST/MiB/EPOCH', display: storagePrice.toLocaleString('en-US'), provenance: provenance() },
+    writePrice: { value: writePrice, unit: 'FROST/MiB', display: writePrice.toLocaleString('en-US'), provenance: provenance() },
+    storageCapacity: { used, total, unit: 'TB', percentage: parseFloat(((used / total) * 100).toFixed(2)), provenance: provenance() },
+    epoch: { number: epoch, display: `Epoch ${epoch}`, provenance: provenance() },
+    staking: null,
+    network: null,
+    dataSource,
+    timestamp
+  };
+};
+
+module.exports = { scrapedData };
@@ -0,0 +1,200 @@
+// Failure forensics tests: on-disk ring buffer and the protected admin endpoint
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const forensics = require('../utils/forensics');
+const { ForensicsStore } = require('../utils/forensics');
+const walrusScraper = require('../scrapers/walrusScraper');
+
+const ADMIN_KEY = 'test-admin-key';
+
+class ForensicsTester {
+  constructor() {
+    this.results = [];
+    this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'walrus-forensics-'));
+  }
+
+  async runAllTests() {
+    console.log('🔍 Starting failure forensics tests...\n');
+
+    const tests = [
+      this.testRingBuffer.bind(this),
+      this.testCaptureFiles.bind(this),
+      this.testSourceFailureCapture.bind(this),
+      this.testAdminEndpoint.bind(this)
+    ];
+
+    try {
+      for (const test of tests) {
+        try {
+          console.log(`\n🧪 Running: ${test.name.replace('bound test', '').replace(/([A-Z])/g, ' $1').trim()}`);
+          await test();
+        } catch (error) {
+          this.logResult('ERROR', test.name, `Failed: ${error.message}`);
+        }
+      }
+    } finally {
+      fs.rmSync(this.tempDir, { recursive: true, force: true });
+    }
+
+    this.printSummary();
+  }
+
+  createStore(name, options = {}) {
+    return new ForensicsStore({ dir: path.join(this.tempDir, name), enabled: true, ...options });
+  }
+
+  async testRingBuffer() {
+    const store = this.createStore('ring', { maxCaptures: 3 });
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push(await store.record({ source: 'walruscan', reason: 'error', error: `failure ${i}` }));
+      await new Promise(resolve => setTimeout(resolve, 2)); // Distinct timestamps
+    }
+
+    const captures = await store.list();
+    this.logResult(captures.length === 3 ? 'PASS' : 'FAIL', 'Bounded Size', `${captures.length} of 5 captures kept`);
+    this.logResult(captures[0]?.id === ids[4] && captures[2]?.id === ids[2] ? 'PASS' : 'FAIL',
+      'Oldest Dropped First', captures.map(capture => capture.error).join(', '));
+  }
+
+  async testCaptureFiles() {
+    const store = this.createStore('files');
+    const id = await store.record({
+      source: 'stake-wal',
+      url: 'https://stake-wal.wal.app/',
+      reason: 'validation',
+      data: { storagePrice: null, epoch: { number: 12 } },
+      console: [{ type: 'error', text: 'Failed to fetch stats' }],
+      networkErrors: [{ url: 'https://api.example/stats', method: 'GET', status: 502 }],
+      screenshot: Buffer.from([0xff, 0xd8, 0xff]),
+      html: '<html><body>Maintenance</body></html>'
+    });
+
+    const capture = await store.get(id);
+    this.logResult(capture?.files.length === 3 ? 'PASS' : 'FAIL', 'Files Written', capture?.files.join(', ') || 'Missing');
+    this.logResult(capture?.data?.epoch?.number === 12 ? 'PASS' : 'FAIL', 'Partial Data Kept', JSON.stringify(capture?.data));
+    this.logResult(capture?.console.length === 1 && capture?.networkErrors[0]?.status === 502 ? 'PASS' : 'FAIL',
+      'Console And Network Errors', `${capture?.console.length} console, ${capture?.networkErrors.length} network`);
+    this.logResult(store.getFilePath(id, 'page.html') ? 'PASS' : 'FAIL', 'File Lookup', 'page.html resolved');
+    this.logResult(!store.getFilePath('../files', 'page.html') && !store.getFilePath(id, '../../package.json') ? 'PASS' : 'FAIL',
+      'Path Traversal Blocked', 'Unknown ids and file names rejected');
+  }
+
+  async testSourceFailureCapture() {
+    const originalDir = forensics.dir;
+    const originalEnabled = forensics.enabled;
+    forensics.dir = path.join(this.tempDir, 'sources');
+    forensics.enabled = true;
+
+    const source = walrusScraper.registry.register({
+      name: 'broken-http',
+      url: 'http://127.0.0.1:1/stats',
+      method: 'http',
+      enabled: false,
+      extract: async () => { throw new Error('connect ECONNREFUSED'); }
+    });
+
+    try {
+      const result = await walrusScraper.runSource(source, {});
+
+      const captures = await forensics.list();
+      this.logResult(result.data === null && captures[0]?.source === 'broken-http' ? 'PASS' : 'FAIL',
+        'Failed Source Captured', captures[0] ? `${captures[0].reason}: ${captures[0].error}` : 'No capture');
+    } finally {
+      walrusScraper.registry.unregister('broken-http');
+      forensics.dir = originalDir;
+      forensics.enabled = originalEnabled;
+    }
+  }
+
+  async testAdminEndpoint() {
+    const originalDir = forensics.dir;
+    const originalKey = process.env.ADMIN_API_KEY;
+    forensics.dir = path.join(this.tempDir, 'files');
+
+    const app = express();
+    app.use('/api/admin', require('../routes/admin'));
+    app.use('*', (req, res) => res.status(404).json({ error: 'Endpoint not found' }));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const request = (urlPath, headers = {}) => this.makeRequest(server.address().port, urlPath, headers);
+
+    try {
+      delete process.env.ADMIN_API_KEY;
+      const hidden = await request('/api/admin/forensics', { 'x-admin-key': ADMIN_KEY });
+      this.logResult(hidden.statusCode === 404 ? 'PASS' : 'FAIL', 'Hidden Without Key Configured', `Status: ${hidden.statusCode}`);
+
+      process.env.ADMIN_API_KEY = ADMIN_KEY;
+      const denied = await request('/api/admin/forensics', { 'x-admin-key': 'wrong' });
+      this.logResult(denied.statusCode === 401 ? 'PASS' : 'FAIL', 'Wrong Key Rejected', `Status: ${denied.statusCode}`);
+
+      const listed = await request('/api/admin/forensics', { authorization: `Bearer ${ADMIN_KEY}` });
+      const captures = JSON.parse(listed.body).captures || [];
+      this.logResult(listed.statusCode === 200 && captures.length === 1 ? 'PASS' : 'FAIL',
+        'List Captures', `Status: ${listed.statusCode}, ${captures.length} captures`);
+
+      const download = await request(`/api/admin/forensics/${captures[0]?.id}/page.html`, { 'x-admin-key': ADMIN_KEY });
+      this.logResult(download.statusCode === 200 && download.headers['content-disposition']?.startsWith('attachment') ? 'PASS' : 'FAIL',
+        'Download As Attachment', download.headers['content-disposition'] || `Status: ${download.statusCode}`);
+
+      const missing = await request(`/api/admin/forensics/${captures[0]?.id}/secrets.txt`, { 'x-admin-key': ADMIN_KEY });
+      this.logResult(missing.statusCode === 404 ? 'PASS' : 'FAIL', 'Unknown File', `Status: ${missing.statusCode}`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      forensics.dir = originalDir;
+      if (originalKey === undefined) {
+        delete process.env.ADMIN_API_KEY;
+      } else {
+        process.env.ADMIN_API_KEY = originalKey;
+      }
+    }
+  }
+
+  makeRequest(port, urlPath, headers) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, path: urlPath, headers }, (res) => {
+        let body = '';
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🔍 FORENSICS TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All forensics tests passed!');
+    } else {
+      console.log('\n⚠️ Some forensics tests failed.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new ForensicsTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = ForensicsTester;
@@ -0,0 +1,218 @@
+// History endpoint tests: metrics, downsampling intervals, estimated points and cursor
+// pagination, over a snapshot store seeded in a temp directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const snapshotStore = require('../utils/snapshotStore');
+
+const RANGE = 'from=2025-12-01T00:00:00Z&to=2026-02-01T00:00:00Z';
+
+// [timestamp, storagePrice, epoch, capacity percentage, dataSource]
+const SEED = [
+  ['2026-01-01T00:10:00.000Z', 10000, 10, 14, 'realtime'],
+  ['2026-01-01T00:40:00.000Z', 12000, 10, 15, 'realtime'],
+  ['2026-01-01T01:10:00.000Z', 11000, 10, 15.5, 'cached'],
+  ['2026-01-02T00:10:00.000Z', 99999, 11, 16, 'estimated'],
+  ['2026-01-02T05:00:00.000Z', 13000, 11, 16.5, 'realtime']
+];
+
+class HistoryTester {
+  constructor() {
+    this.results = [];
+    this.dir = null;
+    this.port = null;
+  }
+
+  async runAllTests() {
+    console.log('📈 Starting history endpoint tests...\n');
+
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'walrus-history-'));
+    const originalFile = snapshotStore.file;
+    const originalEnabled = snapshotStore.enabled;
+    await snapshotStore.close();
+    snapshotStore.file = path.join(this.dir, 'history.sqlite');
+
+    const app = express();
+    app.use('/api', require('../routes/api'));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    this.port = server.address().port;
+
+    const tests = [
+      this.testRawPoints.bind(this),
+      this.testDownsampling.bind(this),
+      this.testPagination.bind(this),
+      this.testValidation.bind(this),
+      this.testStoreDisabled.bind(this)
+    ];
+
+    try {
+      await this.seed();
+      for (const test of tests) {
+        try {
+          console.log(`\n🧪 Running: ${test.name.replace('bound test', '').replace(/([A-Z])/g, ' $1').trim()}`);
+          await test();
+        } catch (error) {
+          this.logResult('ERROR', test.name, `Failed: ${error.message}`);
+        }
+      }
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      await snapshotStore.close();
+      snapshotStore.file = originalFile;
+      snapshotStore.enabled = originalEnabled;
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+
+    this.printSummary();
+  }
+
+  async seed() {
+    for (const [timestamp, storagePrice, epoch, percentage, dataSource] of SEED) {
+      await snapshotStore.record('mainnet', {
+        storagePrice: { value: storagePrice, unit: 'FROST/MiB/EPOCH' },
+        writePrice: { value: 20000, unit: 'FROST/MiB' },
+        storageCapacity: { used: 600, total: 4000, percentage },
+        epoch: { number: epoch },
+        dataSource,
+        timestamp
+      }, 'scheduled');
+    }
+    await snapshotStore.record('testnet', {
+      storagePrice: { value: 500, unit: 'FROST/MiB/EPOCH' },
+      epoch: { number: 200 },
+      dataSource: 'realtime',
+      timestamp: '2026-01-01T00:00:00.000Z'
+    }, 'scheduled');
+  }
+
+  async testRawPoints() {
+    const plain = await this.request(`/api/history?metric=storagePrice&${RANGE}`);
+    const values = (plain.body.points || []).map(point => point.value);
+    this.logResult(plain.statusCode === 200 && values.join(',') === '10000,12000,11000,13000' &&
+      plain.body.unit === 'FROST/MiB/EPOCH' ? 'PASS' : 'FAIL', 'Estimated Points Excluded', values.join(', '));
+
+    const marked = await this.request(`/api/history?metric=storagePrice&includeEstimated=true&${RANGE}`);
+    const estimated = (marked.body.points || []).filter(point => point.estimated);
+    this.logResult(marked.body.points?.length === 5 && estimated.length === 1 && estimated[0].value === 99999 ? 'PASS' : 'FAIL',
+      'Estimated Points Marked', `${estimated.length} marked of ${marked.body.points?.length}`);
+
+    const capacity = await this.request(`/api/history?metric=capacity.percentage&${RANGE}`);
+    this.logResult(capacity.body.points?.[2]?.value === 15.5 && capacity.body.unit === '%' ? 'PASS' : 'FAIL',
+      'Payload Metric', `capacity.percentage: ${(capacity.body.points || []).map(point => point.value).join(', ')}`);
+
+    const testnet = await this.request(`/api/testnet/history?metric=storagePrice&${RANGE}`);
+    this.logResult(testnet.body.points?.length === 1 && testnet.body.points[0].value === 500 ? 'PASS' : 'FAIL',
+      'Per Network', `${testnet.body.points?.length} testnet point(s)`);
+  }
+
+  async testDownsampling() {
+    const hourly = await this.request(`/api/history?metric=storagePrice&interval=hourly&${RANGE}`);
+    const [first] = hourly.body.points || [];
+    this.logResult(hourly.body.points?.length === 3 && first?.bucket === '2026-01-01T00:00:00Z' && first?.count === 2 &&
+      first?.min === 10000 && first?.max === 12000 && first?.avg === 11000 && first?.last === 12000 ? 'PASS' : 'FAIL',
+      'Hourly Min Max Avg Last', JSON.stringify(first));
+
+    const daily = await this.request(`/api/history?metric=storagePrice&interval=daily&${RANGE}`);
+    this.logResult(daily.body.points?.map(point => `${point.bucket}=${point.last}`).join(',') ===
+      '2026-01-01T00:00:00Z=11000,2026-01-02T00:00:00Z=13000' ? 'PASS' : 'FAIL',
+      'Daily Buckets', (daily.body.points || []).map(point => `${point.bucket}: last ${point.last}`).join('; '));
+
+    const epochs = await this.request(`/api/history?metric=storagePrice&interval=epoch&includeEstimated=true&${RANGE}`);
+    const epoch11 = epochs.body.points?.find(point => point.bucket === 11);
+    this.logResult(epochs.body.points?.length === 2 && epoch11?.count === 2 && epoch11?.estimatedPoints === 1 ? 'PASS' : 'FAIL',
+      'Per-Epoch Buckets', JSON.stringify(epoch11));
+  }
+
+  async testPagination() {
+    const values = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const page = await this.request(`/api/history?metric=storagePrice&limit=3&${RANGE}${cursor ? `&cursor=${cursor}` : ''}`);
+      values.push(...(page.body.points || []).map(point => point.value));
+      cursor = page.body.pagination?.nextCursor;
+      pages++;
+    } while (cursor && pages < 5);
+    this.logResult(pages === 2 && values.join(',') === '10000,12000,11000,13000' ? 'PASS' : 'FAIL',
+      'Raw Cursor Pages', `${pages} pages: ${values.join(', ')}`);
+
+    const first = await this.request(`/api/history?metric=storagePrice&interval=hourly&limit=2&${RANGE}`);
+    const second = await this.request(`/api/history?metric=storagePrice&interval=hourly&limit=2&${RANGE}&cursor=${first.body.pagination?.nextCursor}`);
+    this.logResult(second.body.points?.length === 1 && second.body.points[0].bucket === '2026-01-02T05:00:00Z' &&
+      second.body.pagination?.nextCursor === null ? 'PASS' : 'FAIL',
+      'Bucket Cursor Pages', (second.body.points || []).map(point => point.bucket).join(', ') || `Status: ${second.statusCode}`);
+  }
+
+  async testValidation() {
+    const raw = await this.request(`/api/history?metric=storagePrice&limit=1&${RANGE}`);
+    const cases = [
+      '/api/history',
+      '/api/history?metric=price',
+      '/api/history?metric=epoch&interval=weekly',
+      '/api/history?metric=epoch&from=2026-02-01&to=2026-01-01',
+      '/api/history?metric=epoch&limit=5000',
+      `/api/history?metric=epoch&interval=epoch&cursor=${raw.body.pagination?.nextCursor}`
+    ];
+
+    const accepted = [];
+    for (const urlPath of cases) {
+      const response = await this.request(urlPath);
+      if (response.statusCode !== 400) accepted.push(urlPath);
+    }
+    this.logResult(accepted.length === 0 ? 'PASS' : 'FAIL', 'Invalid Queries Rejected',
+      accepted.length === 0 ? `${cases.length} queries` : `Accepted: ${accepted.join(', ')}`);
+  }
+
+  async testStoreDisabled() {
+    snapshotStore.enabled = false;
+    const response = await this.request(`/api/history?metric=storagePrice&${RANGE}`);
+    snapshotStore.enabled = true;
+    this.logResult(response.statusCode === 503 ? 'PASS' : 'FAIL', 'Store Disabled', `Status: ${response.statusCode}`);
+  }
+
+  request(urlPath) {
+    return new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port: this.port, path: urlPath }, (res) => {
+        let raw = '';
+        res.on('data', chunk => raw += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(raw) }));
+      }).on('error', reject);
+    });
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📈 HISTORY TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All history tests passed!');
+    } else {
+      console.log('\n⚠️ Some history tests failed.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new HistoryTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = HistoryTester;
@@ -0,0 +1,162 @@
+// Network dimension tests: config, per-network sources and limits, route resolution
+const http = require('http');
+const express = require('express');
+const cache = require('../utils/cache');
+const networks = require('../config/networks');
+const walrusScraper = require('../scrapers/walrusScraper');
+
+class NetworkTester {
+  constructor() {
+    this.results = [];
+  }
+
+  async runAllTests() {
+    console.log('🌐 Starting network dimension tests...\n');
+
+    const tests = [
+      this.testEnabledNetworks.bind(this),
+      this.testSourcesPerNetwork.bind(this),
+      this.testStrictLimitsPerNetwork.bind(this),
+      this.testRoutes.bind(this)
+    ];
+
+    for (const test of tests) {
+      try {
+        console.log(`\n🧪 Running: ${test.name.replace('bound test', '').replace(/([A-Z])/g, ' $1').trim()}`);
+        await test();
+      } catch (error) {
+        this.logResult('ERROR', test.name, `Failed: ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+  }
+
+  async testEnabledNetworks() {
+    const all = networks.getEnabledNames({});
+    this.logResult(all.join(',') === 'mainnet,testnet' ? 'PASS' : 'FAIL', 'Default Networks', all.join(', '));
+
+    const configured = networks.getEnabledNames({ WALRUS_NETWORKS: ' Testnet, devnet ' });
+    this.logResult(configured.join(',') === 'testnet' ? 'PASS' : 'FAIL', 'WALRUS_NETWORKS Filter', configured.join(', '));
+
+    const invalid = networks.getEnabledNames({ WALRUS_NETWORKS: 'devnet' });
+    this.logResult(invalid.join(',') === 'mainnet' ? 'PASS' : 'FAIL', 'Unknown Names Fall Back', invalid.join(', '));
+
+    const keys = new Set(['mainnet', 'testnet'].map(name => networks.cacheKey(name)));
+    this.logResult(keys.size === 2 ? 'PASS' : 'FAIL', 'Cache Namespacing', Array.from(keys).join(', '));
+  }
+
+  async testSourcesPerNetwork() {
+    const names = (network) => walrusScraper.registry.getEnabled(network).map(source => source.name);
+
+    this.logResult(names('mainnet').includes('stake-wal') ? 'PASS' : 'FAIL', 'Mainnet Sources', names('mainnet').join(', '));
+    this.logResult(!names('testnet').includes('stake-wal') && names('testnet').includes('walruscan') ? 'PASS' : 'FAIL',
+      'Testnet Sources', names('testnet').join(', '));
+
+    const walruscan = walrusScraper.registry.get('walruscan');
+    const testnetUrl = walruscan.getUrl(networks.NETWORKS.testnet);
+    this.logResult(testnetUrl === 'https://walruscan.com/testnet/home' ? 'PASS' : 'FAIL', 'Per-Network URL', testnetUrl);
+
+    const rpc = walrusScraper.registry.get('sui-rpc');
+    this.logResult(rpc.getUrl(networks.NETWORKS.testnet) === networks.NETWORKS.testnet.rpcUrl ? 'PASS' : 'FAIL',
+      'Per-Network RPC', rpc.getUrl(networks.NETWORKS.testnet));
+  }
+
+  async testStrictLimitsPerNetwork() {
+    const lowPriced = {
+      storagePrice: { value: 100 },
+      writePrice: { value: 250 },
+      storageCapacity: { percentage: 8 },
+      epoch: { number: 40 }
+    };
+
+    this.logResult(!walrusScraper.validateDataStrict(lowPriced, 'mainnet') ? 'PASS' : 'FAIL',
+      'Mainnet Limits', 'Prices below 1,000 FROST rejected');
+    this.logResult(walrusScraper.validateDataStrict(lowPriced, 'testnet') ? 'PASS' : 'FAIL',
+      'Testnet Limits', 'Same data accepted on testnet');
+  }
+
+  async testRoutes() {
+    const app = express();
+    app.use('/api', require('../routes/api'));
+    app.use('*', (req, res) => res.status(404).json({ error: 'Endpoint not found' }));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const request = (urlPath) => this.makeRequest(server.address().port, urlPath);
+
+    const testnetKey = networks.cacheKey('testnet');
+    const mainnetKey = networks.cacheKey('mainnet');
+    const hadMainnet = cache.get(mainnetKey);
+    cache.delete(mainnetKey);
+    cache.set(testnetKey, { dataSource: 'realtime' }, 60);
+
+    try {
+      const listed = await request('/api/networks');
+      this.logResult(listed.statusCode === 200 && listed.body.default === 'mainnet' ? 'PASS' : 'FAIL',
+        'List Networks', (listed.body.networks || []).join(', '));
+
+      const byPath = await request('/api/testnet/last-update');
+      this.logResult(byPath.body.network === 'testnet' && byPath.body.cacheStatus === 'active' ? 'PASS' : 'FAIL',
+        'Path Parameter', `${byPath.body.network}: ${byPath.body.cacheStatus}`);
+
+      const byQuery = await request('/api/last-update?network=mainnet');
+      this.logResult(byQuery.body.network === 'mainnet' && byQuery.body.cacheStatus === 'empty' ? 'PASS' : 'FAIL',
+        'Query Parameter', `${byQuery.body.network}: ${byQuery.body.cacheStatus}`);
+
+      const badQuery = await request('/api/walrus-data?network=devnet');
+      this.logResult(badQuery.statusCode === 400 ? 'PASS' : 'FAIL', 'Unknown Network Query', `Status: ${badQuery.statusCode}`);
+
+      const badPath = await request('/api/devnet/walrus-data');
+      this.logResult(badPath.statusCode === 404 ? 'PASS' : 'FAIL', 'Unknown Network Path', `Status: ${badPath.statusCode}`);
+    } finally {
+      cache.delete(testnetKey);
+      if (hadMainnet) cache.set(mainnetKey, hadMainnet);
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  makeRequest(port, urlPath) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, path: urlPath }, (res) => {
+        let body = '';
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🌐 NETWORK TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All network tests passed!');
+    } else {
+      console.log('\n⚠️ Some network tests failed.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new NetworkTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = NetworkTester;
@@ -0,0 +1,284 @@
+// Storage node directory tests: RPC pool mapping and the /api/nodes query options
+const http = require('http');
+const express = require('express');
+const cache = require('../utils/cache');
+const networks = require('../config/networks');
+const scheduler = require('../utils/scheduler');
+const walrusScraper = require('../scrapers/walrusScraper');
+const { SimpleScraper } = require('../scrapers/simpleScraper');
+
+const STAKING_ID = '0xstaking';
+
+const pool = (id, name, { stake, commission, receiver, state = 'Active' }) => ({
+  id: { id },
+  state: { variant: state, fields: {} },
+  node_info: { fields: { name, node_id: id, network_address: `${name.toLowerCase()}.example.com:9185` } },
+  wal_balance: String(stake * 1e9),
+  commission_rate: commission,
+  commission_receiver: receiver
+});
+
+const POOLS = {
+  '0xa1': pool('0xa1', 'Alpha', { stake: 3000000, commission: 500, receiver: { variant: 'Address', fields: { pos0: '0xbeef' } } }),
+  '0xb2': pool('0xb2', 'Bravo', { stake: 9000000, commission: 1000, receiver: { variant: 'Object', fields: { pos0: '0xcap' } } }),
+  '0xc3': pool('0xc3', 'Charlie', { stake: 1000, commission: 0, receiver: { variant: 'Address', fields: { pos0: '0xf00d' } }, state: 'Withdrawing' })
+};
+
+const STAKING_INNER = {
+  fields: {
+    name: '2',
+    value: {
+      fields: {
+        epoch: 12,
+        pools: { fields: { id: { id: '0xpools' }, size: '3' } },
+        committee: {
+          fields: {
+            pos0: {
+              fields: {
+                contents: [
+                  { fields: { key: '0xa1', value: [0, 1, 2] } },
+                  { fields: { key: '0xb2', value: [3, 4, 5, 6, 7] } }
+                ]
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Directory as the scheduler caches it, for the route tests
+const DIRECTORY_NODES = [
+  { id: '0xa1', name: 'Alpha', operator: '0xbeef', stake: 3000000, commission: 5, shards: 3, inCommittee: true, endpoint: 'alpha.example.com:9185', state: 'active' },
+  { id: '0xb2', name: 'Bravo', operator: null, stake: 9000000, commission: 10, shards: 5, inCommittee: true, endpoint: 'bravo.example.com:9185', state: 'active' },
+  { id: '0xc3', name: 'Charlie', operator: '0xf00d', stake: 1000, commission: 0, shards: 0, inCommittee: false, endpoint: 'charlie.example.com:9185', state: 'withdrawing' }
+];
+
+class NodesTester {
+  constructor() {
+    this.results = [];
+  }
+
+  async runAllTests() {
+    console.log('🗂️ Starting storage node directory tests...\n');
+
+    const tests = [
+      this.testPoolMapping.bind(this),
+      this.testRoutes.bind(this),
+      this.testCacheMiss.bind(this)
+    ];
+
+    for (const test of tests) {
+      try {
+        console.log(`\n🧪 Running: ${test.name.replace('bound test', '').replace(/([A-Z])/g, ' $1').trim()}`);
+        await test();
+      } catch (error) {
+        this.logResult('ERROR', test.name, `Failed: ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+  }
+
+  // Mock RPC with the staking object, a paged pools table and multi-get
+  startMockRpc() {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        const { id, method, params } = JSON.parse(body);
+        const reply = (result) => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+        };
+
+        if (method === 'sui_getObject') {
+          const content = params[0] === STAKING_ID
+            ? { fields: { id: { id: STAKING_ID }, version: '2' } }
+            : params[0] === '0xstaking-inner' ? STAKING_INNER : null;
+          return reply({ data: content && { objectId: params[0], content } });
+        }
+
+        if (method === 'suix_getDynamicFields') {
+          if (params[0] === STAKING_ID) {
+            return reply({ data: [{ name: { value: '2' }, objectId: '0xstaking-inner' }], hasNextPage: false });
+          }
+          // Two pages, to exercise the cursor
+          return params[1] === null
+            ? reply({ data: [{ objectId: '0xa1' }, { objectId: '0xb2' }], hasNextPage: true, nextCursor: '0xb2' })
+            : reply({ data: [{ objectId: '0xc3' }], hasNextPage: false, nextCursor: null });
+        }
+
+        if (method === 'sui_multiGetObjects') {
+          return reply(params[0].map(objectId => ({ data: { objectId, content: { fields: POOLS[objectId] } } })));
+        }
+
+        reply(null);
+      });
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+  }
+
+  async testPoolMapping() {
+    const server = await this.startMockRpc();
+
+    try {
+      const scraper = new SimpleScraper({
+        rpcUrl: `http://127.0.0.1:${server.address().port}`,
+        stakingObjectId: STAKING_ID,
+        timeout: 2000
+      });
+      const nodes = await scraper.fetchNodes();
+      const byId = Object.fromEntries(nodes.map(node => [node.id, node]));
+
+      this.logResult(nodes.length === 3 ? 'PASS' : 'FAIL', 'All Pages Read', `${nodes.length} nodes`);
+      this.logResult(byId['0xa1']?.stake === 3000000 && byId['0xa1']?.commission === 5 ? 'PASS' : 'FAIL',
+        'Stake And Commission', `${byId['0xa1']?.stake} WAL, ${byId['0xa1']?.commission}%`);
+      this.logResult(byId['0xb2']?.shards === 5 && byId['0xc3']?.shards === 0 && !byId['0xc3']?.inCommittee ? 'PASS' : 'FAIL',
+        'Committee Shards', nodes.map(node => `${node.name}: ${node.shards}`).join(', '));
+      this.logResult(byId['0xa1']?.operator === '0xbeef' && byId['0xb2']?.operator === null ? 'PASS' : 'FAIL',
+        'Operator Address', nodes.map(node => `${node.name}: ${node.operator}`).join(', '));
+      this.logResult(byId['0xc3']?.state === 'withdrawing' && byId['0xa1']?.endpoint === 'alpha.example.com:9185' ? 'PASS' : 'FAIL',
+        'State And Endpoint', `${byId['0xc3']?.state}, ${byId['0xa1']?.endpoint}`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  async testRoutes() {
+    const app = express();
+    app.use('/api', require('../routes/api'));
+    app.use('*', (req, res) => res.status(404).json({ error: 'Endpoint not found' }));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const request = (urlPath) => this.makeRequest(server.address().port, urlPath);
+    const names = (response) => (response.body.nodes || []).map(node => node.name).join(',');
+
+    const key = networks.cacheKey('mainnet', 'nodes');
+    cache.set(key, { nodes: DIRECTORY_NODES, dataSource: 'realtime', timestamp: new Date().toISOString() }, 60);
+
+    try {
+      const listed = await request('/api/nodes');
+      this.logResult(names(listed) === 'Bravo,Alpha,Charlie' && listed.body.pagination?.total === 3 ? 'PASS' : 'FAIL',
+        'Default Sort By Stake', names(listed));
+
+      const byName = await request('/api/mainnet/nodes?sort=name&order=desc');
+      this.logResult(names(byName) === 'Charlie,Bravo,Alpha' ? 'PASS' : 'FAIL', 'Sort Order', names(byName));
+
+      const filtered = await request('/api/nodes?committee=true&maxCommission=5');
+      this.logResult(names(filtered) === 'Alpha' ? 'PASS' : 'FAIL', 'Filters', names(filtered));
+
+      const paged = await request('/api/nodes?limit=2&page=2');
+      this.logResult(names(paged) === 'Charlie' && paged.body.pagination?.pages === 2 ? 'PASS' : 'FAIL',
+        'Pagination', `${names(paged)} (${JSON.stringify(paged.body.pagination)})`);
+
+      const invalid = await request('/api/nodes?sort=uptime');
+      this.logResult(invalid.statusCode === 400 ? 'PASS' : 'FAIL', 'Invalid Sort Rejected', invalid.body.message);
+
+      const single = await request('/api/nodes/0xB2');
+      this.logResult(single.body.node?.stakeDisplay === '9,000,000 WAL' ? 'PASS' : 'FAIL',
+        'Node By ID', single.body.node?.stakeDisplay || `Status: ${single.statusCode}`);
+
+      const missing = await request('/api/nodes/0xdead');
+      this.logResult(missing.statusCode === 404 ? 'PASS' : 'FAIL', 'Unknown Node', `Status: ${missing.statusCode}`);
+    } finally {
+      cache.delete(key);
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  // A miss answers 503 at once and fetches the directory in the background
+  async testCacheMiss() {
+    const app = express();
+    app.use('/api', require('../routes/api'));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const request = (urlPath) => this.makeRequest(server.address().port, urlPath);
+
+    const key = networks.cacheKey('mainnet', 'nodes');
+    const originalScrapeNodes = walrusScraper.scrapeNodes;
+    let calls = 0;
+    let finish = null;
+    walrusScraper.scrapeNodes = () => {
+      calls++;
+      return new Promise(resolve => { finish = resolve; });
+    };
+    cache.delete(key);
+
+    try {
+      const first = await request('/api/nodes');
+      const second = await request('/api/nodes/0xb2');
+      this.logResult(first.statusCode === 503 && first.body.revalidating === true && second.statusCode === 503 && calls === 1 ? 'PASS' : 'FAIL',
+        'Miss Does Not Wait', `Status: ${first.statusCode}, ${second.statusCode}; ${calls} fetch(es)`);
+
+      finish({ nodes: DIRECTORY_NODES, dataSource: 'realtime', timestamp: new Date().toISOString() });
+      await scheduler.nodeRefreshes.mainnet;
+      const ready = await request('/api/nodes');
+      this.logResult(ready.statusCode === 200 && ready.body.pagination?.total === 3 ? 'PASS' : 'FAIL',
+        'Served Once Fetched', `Status: ${ready.statusCode}`);
+
+      // After a failed fetch, misses don't start another until the retry wait has passed
+      cache.delete(key);
+      walrusScraper.scrapeNodes = async () => { calls++; return null; };
+      await request('/api/nodes');
+      await scheduler.nodeRefreshes.mainnet;
+      const before = calls;
+      const held = await request('/api/nodes');
+      this.logResult(held.statusCode === 503 && held.body.revalidating === false && calls === before ? 'PASS' : 'FAIL',
+        'Retry Held Back After Failure', `revalidating: ${held.body.revalidating}`);
+    } finally {
+      walrusScraper.scrapeNodes = originalScrapeNodes;
+      delete scheduler.nodeFailures.mainnet;
+      cache.delete(key);
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  makeRequest(port, urlPath) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, path: urlPath }, (res) => {
+        let body = '';
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🗂️ NODE DIRECTORY TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All node directory tests passed!');
+    } else {
+      console.log('\n⚠️ Some node directory tests failed.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new NodesTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = NodesTester;
@@ -0,0 +1,175 @@
+// Offline extraction tests - runs the parser over saved page snapshots
+// Add a fixture to tests/fixtures/pages/manifest.json whenever a site changes layout
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const walrusParser = require('../scrapers/walrusParser');
+const { ExtractionRules } = require('../scrapers/extractionRules');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'pages');
+
+class ParserTester {
+  constructor() {
+    this.results = [];
+  }
+
+  async runAllTests() {
+    console.log('🧩 Starting offline parser fixture tests...\n');
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'manifest.json'), 'utf8'));
+
+    for (const fixture of manifest.fixtures) {
+      try {
+        console.log(`\n🧪 Fixture: ${fixture.name}`);
+        this.testFixture(fixture);
+      } catch (error) {
+        this.logResult('ERROR', fixture.name, `Failed: ${error.message}`);
+      }
+    }
+
+    try {
+      console.log('\n🧪 Rules file handling');
+      this.testRulesFile();
+    } catch (error) {
+      this.logResult('ERROR', 'Rules File', `Failed: ${error.message}`);
+    }
+
+    this.printSummary();
+  }
+
+  // Source overrides and rejected edits, using a temporary copy of the rules file
+  testRulesFile() {
+    const original = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'extraction-rules.json'), 'utf8'));
+    const tempFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'walrus-rules-')), 'rules.json');
+
+    try {
+      // walruscan swaps storage and write price in its copy
+      const patched = JSON.parse(JSON.stringify(original));
+      patched.version = original.version + 1;
+      patched.sources.walruscan = [
+        { ...original.sources['*'].find(rule => rule.id === 'storage-price-frost-per-mb'), occurrence: 1 },
+        { ...original.sources['*'].find(rule => rule.id === 'write-price-frost-per-mb'), occurrence: 0 }
+      ];
+      fs.writeFileSync(tempFile, JSON.stringify(patched));
+
+      const rules = new ExtractionRules(tempFile);
+      const html = fs.readFileSync(path.join(FIXTURE_DIR, 'walruscan-swapped-layout.html'), 'utf8');
+      const patchedData = walrusParser.parse({ html, source: 'walruscan' }, rules);
+      const sharedData = walrusParser.parse({ html, source: 'stake-wal' }, rules);
+
+      this.compare('Source Override', patchedData.storagePrice?.value ?? null, 11000);
+      this.compare('Shared Rules Untouched', sharedData.storagePrice?.value ?? null, 20000);
+
+      // A broken edit must not replace the rules in use
+      fs.writeFileSync(tempFile, JSON.stringify({ ...patched, version: patched.version + 1, sources: { '*': [{ id: 'bad', field: 'epoch', pattern: '(', captures: { number: { group: 1 } } }] } }));
+      const reloaded = rules.load();
+      this.compare('Invalid Rules Rejected', reloaded, false);
+      this.compare('Previous Rules Kept', rules.getStatus().version, patched.version);
+
+      // A rule that captures only used capacity falls back to its display template
+      fs.writeFileSync(tempFile, JSON.stringify({
+        ...patched,
+        version: patched.version + 2,
+        sources: {
+          '*': [{
+            id: 'capacity-used-optional-total',
+            field: 'storageCapacity',
+            pattern: '([\\d.]+)\\s*TB\\s+used(?:\\s+of\\s+([\\d.]+)\\s*PB)?',
+            captures: { used: { group: 1, unit: 'TB' }, total: { group: 2, unit: 'PB' } },
+            display: '{1} TB used'
+          }]
+        }
+      }));
+      rules.load();
+      const partial = walrusParser.parse({ text: 'Storage: 644 TB used' }, rules).storageCapacity;
+      this.compare('Partial Capacity Used', partial?.used ?? null, 644);
+      this.compare('Partial Capacity Total', partial?.total ?? null, null);
+      this.compare('Partial Capacity Display', partial?.display ?? null, '644 TB used');
+      const shipped = original.sources['*'].filter(rule => rule.field === 'storageCapacity' && rule.captures.used && rule.captures.total);
+      this.compare('Capacity Rules Keep Display Template', shipped.every(rule => typeof rule.display === 'string'), true);
+    } finally {
+      fs.rmSync(path.dirname(tempFile), { recursive: true, force: true });
+    }
+  }
+
+  loadSnapshot(fixture) {
+    const read = (file) => file ? fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8') : undefined;
+    return {
+      text: read(fixture.text),
+      html: read(fixture.html),
+      responses: fixture.responses ? JSON.parse(read(fixture.responses)) : undefined
+    };
+  }
+
+  testFixture(fixture) {
+    const data = walrusParser.parse(this.loadSnapshot(fixture));
+    const { expected } = fixture;
+
+    this.compare('Storage Price', data.storagePrice?.value ?? null, expected.storagePrice);
+    this.compare('Write Price', data.writePrice?.value ?? null, expected.writePrice);
+    this.compare('Epoch', data.epoch?.number ?? null, expected.epoch);
+    this.compare('Data Source', data.dataSource, expected.dataSource);
+
+    // Extraction strategy recorded in each field's provenance
+    Object.entries(expected.strategies || {}).forEach(([field, strategy]) => {
+      this.compare(`${field} strategy`, data[field]?.provenance?.strategy ?? null, strategy);
+    });
+
+    if (expected.storageCapacity === null) {
+      this.compare('Storage Capacity', data.storageCapacity, null);
+    } else {
+      Object.entries(expected.storageCapacity).forEach(([key, value]) => {
+        this.compare(`Capacity ${key}`, data.storageCapacity?.[key] ?? null, value);
+      });
+    }
+
+    // Optional sections are only checked when the fixture lists them
+    ['staking', 'network'].filter(section => section in expected).forEach(section => {
+      if (expected[section] === null) {
+        this.compare(`${section} section`, data[section], null);
+        return;
+      }
+      Object.entries(expected[section]).forEach(([key, value]) => {
+        this.compare(`${section} ${key}`, data[section]?.[key] ?? null, value);
+      });
+    });
+  }
+
+  compare(test, actual, expected) {
+    const passed = actual === expected;
+    this.logResult(passed ? 'PASS' : 'FAIL', test,
+      passed ? String(actual) : `expected ${expected}, got ${actual}`);
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('🧩 PARSER TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All parser fixtures passed!');
+    } else {
+      console.log('\n⚠️ Some parser fixtures failed. Check the extraction rules.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new ParserTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = ParserTester;
@@ -1,5 +1,7 @@
 // Comprehensive scraper accuracy and reliability tests
 const walrusScraper = require('../scrapers/walrusScraper');
+const pageExtractor = require('../scrapers/pageExtractor');
+const browserPool = require('../utils/browserPool');
 const cache = require('../utils/cache');
 const scheduler = require('../utils/scheduler');
 
@@ -34,13 +36,26 @@ class ScraperTester {
     }
 
     this.printSummary();
+
+    // Shut the pooled browser down so the test process can exit
+    await browserPool.close();
   }
 
   async testScraperInitialization() {
     // Test scraper configuration
-    const urls = walrusScraper.urls;
-    this.logResult(urls.length > 0 ? 'PASS' : 'FAIL', 
-      'Scraper URLs', `${urls.length} URLs configured`);
+    const sources = walrusScraper.registry.getEnabled();
+    this.logResult(sources.length > 0 ? 'PASS' : 'FAIL', 
+      'Scraper Sources', `${sources.length} sources enabled: ${sources.map(s => s.name).join(', ')}`);
+
+    // Test sources can be switched off without touching the scraper
+    const [first] = sources;
+    if (first) {
+      walrusScraper.registry.disable(first.name);
+      const stillEnabled = walrusScraper.registry.getEnabled().some(s => s.name === first.name);
+      walrusScraper.registry.enable(first.name);
+      this.logResult(!stillEnabled ? 'PASS' : 'FAIL', 
+        'Source Toggle', `${first.name} can be disabled and re-enabled`);
+    }
 
     // Test timeout configuration
     const timeout = walrusScraper.timeout;
@@ -221,8 +236,15 @@ class ScraperTester {
     console.log('   🔄 Testing error recovery...');
     
     // Test with invalid URLs (simulate network failure)
-    const originalUrls = walrusScraper.urls;
-    walrusScraper.urls = ['https://invalid-url-12345.com'];
+    const registry = walrusScraper.registry;
+    const originallyEnabled = registry.getEnabled().map(s => s.name);
+    originallyEnabled.forEach(name => registry.disable(name));
+    registry.register({
+      name: 'invalid-url',
+      url: 'https://invalid-url-12345.com',
+      method: 'page',
+      extract: ({ timeout }) => pageExtractor.scrape('https://invalid-url-12345.com', { timeout })
+    });
     
     try {
       const data = await walrusScraper.scrapeWalrusData();
@@ -232,8 +254,9 @@ class ScraperTester {
       this.logResult('PASS', 'Error Recovery', 'Throws controlled errors');
     }
     
-    // Restore original URLs
-    walrusScraper.urls = originalUrls;
+    // Restore original sources
+    registry.unregister('invalid-url');
+    originallyEnabled.forEach(name => registry.enable(name));
   }
 
   async testResourceOptimization() {
@@ -259,9 +282,14 @@ class ScraperTester {
     this.logResult(memoryUsed < 100 ? 'PASS' : 'WARN', 'Memory Efficiency', 
       `${memoryUsed.toFixed(1)}MB used`);
     
-    // Test browser cleanup
-    // This is implicit - if there are memory leaks, previous memory tests would catch them
-    this.logResult('PASS', 'Browser Cleanup', 'Puppeteer instances properly closed');
+    // Test browser cleanup - pages go back to the pool after every scrape
+    const poolStatus = browserPool.getStatus();
+    this.logResult(poolStatus.activePages === 0 ? 'PASS' : 'FAIL', 'Browser Cleanup', 
+      `${poolStatus.activePages} pages still open`);
+
+    // Test browser reuse - repeated scrapes should not relaunch Chromium each time
+    this.logResult(poolStatus.launchCount <= 1 ? 'PASS' : 'WARN', 'Browser Reuse', 
+      `${poolStatus.launchCount} browser launches across all scrapes`);
   }
 
   logResult(status, test, message) {
@@ -0,0 +1,172 @@
+// Unit and display option tests: conversions, locale formatting, TB-only capacity and routes
+const http = require('http');
+const express = require('express');
+const cache = require('../utils/cache');
+const networks = require('../config/networks');
+const walrusParser = require('../scrapers/walrusParser');
+const unitFormatter = require('../utils/unitFormatter');
+
+class UnitsTester {
+  constructor() {
+    this.results = [];
+  }
+
+  async runAllTests() {
+    console.log('📏 Starting unit conversion tests...\n');
+
+    const tests = [
+      this.testOptionParsing.bind(this),
+      this.testConversions.bind(this),
+      this.testCapacityParse.bind(this),
+      this.testRoutes.bind(this)
+    ];
+
+    for (const test of tests) {
+      try {
+        console.log(`\n🧪 Running: ${test.name.replace('bound test', '').replace(/([A-Z])/g, ' $1').trim()}`);
+        await test();
+      } catch (error) {
+        this.logResult('ERROR', test.name, `Failed: ${error.message}`);
+      }
+    }
+
+    this.printSummary();
+  }
+
+  async testOptionParsing() {
+    const { options } = unitFormatter.parseOptions({ priceUnit: 'wal', sizeUnit: 'GIB', locale: 'de-DE' });
+    this.logResult(options?.priceUnit === 'WAL' && options?.sizeUnit === 'GiB' && options?.period === 'epoch' &&
+      options?.locale === 'de-DE' ? 'PASS' : 'FAIL', 'Case-Insensitive Options', JSON.stringify(options));
+
+    this.logResult(unitFormatter.parseOptions({}).options === null ? 'PASS' : 'FAIL',
+      'No Options', 'No converted blocks by default');
+
+    const invalid = [{ priceUnit: 'SUI' }, { period: 'month' }, { capacityUnit: 'EB' }, { locale: 'en_US' }, { sizeUnit: ['MiB'] }];
+    const accepted = invalid.filter(query => !unitFormatter.parseOptions(query).error);
+    this.logResult(accepted.length === 0 ? 'PASS' : 'FAIL', 'Invalid Options Rejected',
+      accepted.length === 0 ? `${invalid.length} queries` : `Accepted: ${accepted.map(query => JSON.stringify(query)).join(', ')}`);
+  }
+
+  async testConversions() {
+    const options = { priceUnit: 'WAL', sizeUnit: 'GiB', period: 'year', capacityUnit: 'PB', locale: 'en-US' };
+
+    // 11,000 FROST/MiB/epoch with 14-day epochs: x1024 per GiB, x365/14 epochs per year
+    const storage = unitFormatter.convertPrice(11000, options, 14 * 86400);
+    this.logResult(storage.value === 0.293669 && storage.unit === 'WAL/GiB/YEAR' ? 'PASS' : 'FAIL',
+      'Storage Price Per Year', storage.display);
+
+    const write = unitFormatter.convertPrice(20000, options);
+    this.logResult(write.value === 0.02048 && write.unit === 'WAL/GiB' ? 'PASS' : 'FAIL',
+      'Write Price Has No Period', write.display);
+
+    const capacity = unitFormatter.convertCapacity({ used: 644, total: 4167 }, options);
+    this.logResult(capacity.total === 4.167 && capacity.display === '0.644 / 4.167 PB' ? 'PASS' : 'FAIL',
+      'Capacity In PB', capacity.display);
+
+    const german = unitFormatter.convertPrice(11000, { ...options, priceUnit: 'FROST', sizeUnit: 'TiB', period: 'epoch', locale: 'de-DE' }, 86400);
+    this.logResult(german.display === '11.534.336.000 FROST/TiB/EPOCH' ? 'PASS' : 'FAIL',
+      'Locale Grouping', german.display);
+  }
+
+  async testCapacityParse() {
+    // Used in TB and total in PB on the page: both are stored, and shown, in TB
+    const html = '<html><body><div>Storage capacity 644 TB / 4.2 PB used</div></body></html>';
+    const capacity = walrusParser.parse({ html, source: 'walruscan' }).storageCapacity || {};
+    this.logResult(capacity.total === 4200 && capacity.unit === 'TB' && capacity.display === '644 / 4,200 TB' &&
+      capacity.totalDisplay === '4,200 TB' ? 'PASS' : 'FAIL', 'TB/PB Page Normalised', capacity.display || 'Missing');
+  }
+
+  async testRoutes() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../routes/api'));
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const request = (urlPath, body) => this.makeRequest(server.address().port, urlPath, body);
+
+    const key = networks.cacheKey('mainnet');
+    const hadMainnet = cache.get(key);
+    cache.set(key, {
+      storagePrice: { value: 11000, unit: 'FROST/MiB/EPOCH' },
+      writePrice: { value: 20000, unit: 'FROST/MiB' },
+      storageCapacity: { used: 644, total: 4167, display: '644 TB / 4.167 PB' },
+      epoch: { number: 42, startTime: new Date().toISOString(), durationSeconds: 14 * 86400, timingSource: 'chain' },
+      dataSource: 'realtime'
+    }, 60);
+
+    try {
+      const data = await request('/api/walrus-data?priceUnit=WAL&sizeUnit=GiB&period=year&capacityUnit=PB');
+      const { storagePrice, writePrice, storageCapacity } = data.body.data || {};
+      this.logResult(storagePrice?.value === 11000 && storagePrice?.unit === 'FROST/MiB/EPOCH' &&
+        storagePrice?.converted?.unit === 'WAL/GiB/YEAR' && writePrice?.converted?.unit === 'WAL/GiB' ? 'PASS' : 'FAIL',
+        'Raw Values Kept', storagePrice?.converted?.display || `Status: ${data.statusCode}`);
+      this.logResult(storageCapacity?.unit === 'TB' && storageCapacity?.display === '644 / 4,167 TB' &&
+        storageCapacity?.converted?.display === '0.644 / 4.167 PB' ? 'PASS' : 'FAIL',
+        'Capacity Display Rebuilt', `${storageCapacity?.display} | ${storageCapacity?.converted?.display}`);
+
+      const quote = await request('/api/cost-estimate?priceUnit=WAL&locale=fr-FR', { size: '10 MiB', epochs: 5 });
+      const total = quote.body.estimate?.totalCost;
+      this.logResult(total?.frost === 8025000 && total?.converted?.value === 0.008025 &&
+        total?.converted?.display === '0,00803 WAL' ? 'PASS' : 'FAIL', 'Cost Estimate Units', total?.converted?.display || `Status: ${quote.statusCode}`);
+
+      const invalid = await request('/api/walrus-data?sizeUnit=PiB');
+      this.logResult(invalid.statusCode === 400 ? 'PASS' : 'FAIL', 'Invalid Unit', invalid.body.message);
+    } finally {
+      cache.delete(key);
+      if (hadMainnet) cache.set(key, hadMainnet);
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+
+  makeRequest(port, urlPath, body) {
+    const payload = body ? JSON.stringify(body) : null;
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port,
+        path: urlPath,
+        method: payload ? 'POST' : 'GET',
+        headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}
+      }, (res) => {
+        let raw = '';
+        res.on('data', chunk => raw += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(raw) }));
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  logResult(status, test, message) {
+    const icon = status === 'PASS' ? '✅' : status === 'FAIL' ? '❌' : status === 'WARN' ? '⚠️' : '❓';
+    console.log(`   ${icon} ${status}: ${test} - ${message}`);
+    this.results.push({ status, test, message });
+  }
+
+  printSummary() {
+    const passed = this.results.filter(r => r.status === 'PASS').length;
+    const failed = this.results.filter(r => r.status !== 'PASS').length;
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📏 UNITS TEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Passed: ${passed}`);
+    console.log(`❌ Failed: ${failed}`);
+    console.log(`📊 Total: ${this.results.length}`);
+
+    if (failed === 0) {
+      console.log('\n🎉 All unit conversion tests passed!');
+    } else {
+      console.log('\n⚠️ Some unit conversion tests failed.');
+    }
+  }
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  const tester = new UnitsTester();
+  tester.runAllTests().catch(console.error);
+}
+
+module.exports = UnitsTester;
@@ -0,0 +1,120 @@
+// Anomaly detection for scraped values
+// validateDataStrict only checks static bounds, so a swapped storage/write price or a
+// parse of "4" instead of "4,167" still passes. Each new scrape is also compared with the
+// last observation of each field: the epoch never goes back, total capacity changes rarely
+// and prices don't jump by more than a set percentage. Anomalous scrapes are quarantined,
+// and only an admin approving one makes its values the new baseline.
+const lastKnownGood = require('./lastKnownGood');
+const snapshotStore = require('./snapshotStore');
+
+// Largest change from the last observed price that is not flagged
+const PRICE_JUMP_PERCENT = parseFloat(process.env.ANOMALY_PRICE_JUMP_PERCENT) || 50;
+// Largest change from the last observed total capacity that is not flagged
+const CAPACITY_CHANGE_PERCENT = parseFloat(process.env.ANOMALY_CAPACITY_CHANGE_PERCENT) || 10;
+
+class AnomalyDetector {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.ANOMALY_DETECTION_ENABLED !== 'false';
+    this.priceJumpPercent = options.priceJumpPercent ?? PRICE_JUMP_PERCENT;
+    this.capacityChangePercent = options.capacityChangePercent ?? CAPACITY_CHANGE_PERCENT;
+  }
+
+  // Quarantined scrapes need an admin to review them and the snapshot store to hold them;
+  // without both, holding a scrape back would only freeze the served data
+  isActive() {
+    return this.enabled && Boolean(process.env.ADMIN_API_KEY) && snapshotStore.enabled;
+  }
+
+  // Say at startup when detection is turned on but can't run, so scrapes aren't passed
+  // through unchecked without anyone knowing
+  warnIfInactive() {
+    if (!this.enabled || this.isActive()) return;
+
+    const missing = [
+      !process.env.ADMIN_API_KEY && 'ADMIN_API_KEY is not set',
+      !snapshotStore.enabled && 'the snapshot store is disabled'
+    ].filter(Boolean).join(' and ');
+    console.warn(`⚠️ Anomaly detection is enabled but inactive: ${missing}, so quarantined scrapes could not be reviewed. Scrapes are served unchecked.`);
+  }
+
+  // Anomalies in a scrape, as [{ field, rule, previous, current, message }]; empty when
+  // the scrape is consistent with what came before or there is nothing to compare with.
+  // Only fields the scrape observed itself are checked.
+  async check(networkName, data) {
+    if (!this.isActive() || !data) return [];
+
+    await lastKnownGood.load(networkName);
+    const known = lastKnownGood.observations[networkName] || {};
+    const baseline = {};
+    Object.entries(known).forEach(([field, { value }]) => {
+      baseline[field] = value;
+    });
+
+    const anomalies = this.compare(baseline, data);
+    if (anomalies.length === 0) return [];
+
+    console.warn(`🚨 ${networkName} scrape looks anomalous: ${anomalies.map(anomaly => anomaly.message).join('; ')}`);
+    return anomalies;
+  }
+
+  // Rules applied to each field observed both in previous (field -> value) and in data
+  compare(previous, data) {
+    const observed = (field) => lastKnownGood.isObservation(data, field) && previous[field]
+      ? { previous: previous[field], current: data[field] }
+      : null;
+
+    const anomalies = [];
+
+    const epoch = observed('epoch');
+    if (epoch && epoch.current.number < epoch.previous.number) {
+      anomalies.push({
+        field: 'epoch',
+        rule: 'epoch-regressed',
+        previous: epoch.previous.number,
+        current: epoch.current.number,
+        message: `Epoch went back from ${epoch.previous.number} to ${epoch.current.number}`
+      });
+    }
+
+    const capacity = observed('storageCapacity');
+    if (capacity) {
+      const change = this.percentChange(capacity.previous.total, capacity.current.total);
+      if (change > this.capacityChangePercent) {
+        anomalies.push({
+          field: 'storageCapacity',
+          rule: 'capacity-total-changed',
+          previous: capacity.previous.total,
+          current: capacity.current.total,
+          message: `Total capacity changed ${change.toFixed(1)}% (limit ${this.capacityChangePercent}%)`
+        });
+      }
+    }
+
+    ['storagePrice', 'writePrice'].forEach(field => {
+      const price = observed(field);
+      if (!price) return;
+
+      const change = this.percentChange(price.previous.value, price.current.value);
+      if (change > this.priceJumpPercent) {
+        anomalies.push({
+          field,
+          rule: 'price-jump',
+          previous: price.previous.value,
+          current: price.current.value,
+          message: `${field} changed ${change.toFixed(1)}% (limit ${this.priceJumpPercent}%)`
+        });
+      }
+    });
+
+    return anomalies;
+  }
+
+  // Absolute change in percent; a value appearing from zero or nothing counts as no change
+  percentChange(previous, current) {
+    if (!(previous > 0) || typeof current !== 'number') return 0;
+    return Math.abs(current - previous) / previous * 100;
+  }
+}
+
+module.exports = new AnomalyDetector();
+module.exports.AnomalyDetector = AnomalyDetector;
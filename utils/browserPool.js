@@ -0,0 +1,245 @@
+// Managed Puppeteer browser pool
+// One lazily launched Chromium shared across scrapes instead of a cold start per
+// scrape. The browser is shut down after an idle period so the idle footprint stays
+// inside the 512MB free tier, restarted when it crashes, and pages are capped.
+const puppeteer = require('puppeteer');
+
+class BrowserPool {
+  constructor() {
+    this.browser = null;
+    this.launching = null;
+    this.activePages = 0;
+    this.waiting = [];
+    this.idleTimer = null;
+    this.healthTimer = null;
+    this.launchCount = 0;
+    this.lastLaunch = null;
+
+    // Configuration for Render.com free tier (512MB RAM limit)
+    this.maxPages = parseInt(process.env.BROWSER_MAX_PAGES) || 2;
+    this.idleTimeout = parseInt(process.env.BROWSER_IDLE_TIMEOUT) || 5 * 60 * 1000; // Close after 5 idle minutes
+    this.healthCheckInterval = parseInt(process.env.BROWSER_HEALTH_CHECK_INTERVAL) || 60 * 1000;
+    this.healthCheckTimeout = 5000;
+  }
+
+  // Launch browser with secure and resource-optimized settings for Render.com
+  launch() {
+    return puppeteer.launch({
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu',
+        '--disable-background-networking',
+        '--disable-background-timer-throttling',
+        '--disable-renderer-backgrounding',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-client-side-phishing-detection',
+        '--disable-component-extensions-with-background-pages',
+        '--disable-default-apps',
+        '--disable-extensions',
+        '--disable-features=TranslateUI,VizDisplayCompositor',
+        '--disable-hang-monitor',
+        '--disable-ipc-flooding-protection',
+        '--disable-popup-blocking',
+        '--disable-prompt-on-repost',
+        '--disable-sync',
+        '--metrics-recording-only',
+        '--no-default-browser-check',
+        '--safebrowsing-disable-auto-update',
+        '--memory-pressure-off',
+        '--max_old_space_size=300',
+        '--single-process'
+      ],
+      // Resource limits for free tier deployment
+      defaultViewport: { width: 1280, height: 720 },
+      timeout: 30000
+    });
+  }
+
+  // Lazily launch (or reuse) the shared browser; concurrent callers share one launch
+  async getBrowser() {
+    if (this.browser && this.browser.isConnected()) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      this.launching = (async () => {
+        console.log('🚀 Launching pooled browser...');
+        const browser = await this.launch();
+
+        browser.on('disconnected', () => {
+          if (this.browser === browser) {
+            console.log('⚠️ Pooled browser disconnected, will relaunch on next use');
+            this.browser = null;
+            this.stopHealthChecks();
+          }
+        });
+
+        this.browser = browser;
+        this.launchCount++;
+        this.lastLaunch = new Date().toISOString();
+        this.startHealthChecks();
+        return browser;
+      })().finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  // Wait for a free page slot, then open a page on the shared browser
+  async acquirePage() {
+    if (this.activePages >= this.maxPages) {
+      console.log(`⏳ Waiting for a browser page slot (${this.activePages}/${this.maxPages} in use)`);
+      // The releasing caller hands its slot straight to us, so activePages stays counted
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.activePages++;
+    }
+
+    this.clearIdleTimer();
+
+    try {
+      const browser = await this.getBrowser();
+      return await browser.newPage();
+    } catch (error) {
+      this.releaseSlot();
+      throw error;
+    }
+  }
+
+  async releasePage(page) {
+    try {
+      if (page && !page.isClosed()) {
+        await page.close();
+      }
+    } catch (error) {
+      console.log('⚠️ Failed to close page:', error.message);
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  // Run fn with a pooled page, always giving the page back
+  async withPage(fn) {
+    const page = await this.acquirePage();
+    try {
+      return await fn(page);
+    } finally {
+      await this.releasePage(page);
+    }
+  }
+
+  // Pass the slot to the next waiter, or free it and start the idle countdown
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+
+    this.activePages--;
+    if (this.activePages === 0) {
+      this.scheduleIdleShutdown();
+    }
+  }
+
+  scheduleIdleShutdown() {
+    this.clearIdleTimer();
+    if (!this.browser) return;
+
+    this.idleTimer = setTimeout(() => {
+      if (this.activePages === 0) {
+        console.log(`💤 Browser idle for ${Math.round(this.idleTimeout / 1000)}s, shutting down`);
+        this.close();
+      }
+    }, this.idleTimeout);
+    this.idleTimer.unref();
+  }
+
+  clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  // Periodically make sure the browser still answers; restart it if it hung or crashed
+  startHealthChecks() {
+    this.stopHealthChecks();
+    this.healthTimer = setInterval(() => this.checkHealth(), this.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  async checkHealth() {
+    const browser = this.browser;
+    if (!browser) return true;
+
+    try {
+      if (!browser.isConnected()) {
+        throw new Error('browser not connected');
+      }
+
+      await Promise.race([
+        browser.version(),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('health check timed out')), this.healthCheckTimeout))
+      ]);
+      return true;
+    } catch (error) {
+      console.log(`❌ Browser health check failed (${error.message}), restarting`);
+      await this.close();
+      // Relaunch only if scrapes are still waiting on it; otherwise stay lazy
+      if (this.activePages > 0 || this.waiting.length > 0) {
+        await this.getBrowser().catch(err => console.log('❌ Browser relaunch failed:', err.message));
+      }
+      return false;
+    }
+  }
+
+  async close() {
+    this.clearIdleTimer();
+    this.stopHealthChecks();
+
+    const browser = this.browser;
+    this.browser = null;
+
+    if (browser) {
+      try {
+        await browser.close();
+        console.log('🔒 Browser closed');
+      } catch (error) {
+        console.log('⚠️ Error closing browser:', error.message);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.browser ? 'running' : this.launching ? 'launching' : 'stopped',
+      activePages: this.activePages,
+      maxPages: this.maxPages,
+      waiting: this.waiting.length,
+      launchCount: this.launchCount,
+      lastLaunch: this.lastLaunch,
+      idleTimeout: this.idleTimeout
+    };
+  }
+}
+
+// Create singleton instance
+const browserPool = new BrowserPool();
+
+module.exports = browserPool;
@@ -1,12 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PERSIST_PATH = path.join(__dirname, '..', 'data', 'cache.json');
+
 // Enhanced in-memory cache with TTL, size limits, and memory monitoring
+// With persistence on, every change is written through to a JSON file and unexpired
+// entries are restored at startup, so a restart doesn't mean a cold scrape.
 class Cache {
-    constructor() {
+    constructor(options = {}) {
       this.cache = new Map();
       this.timestamps = new Map();
       // Configuration for Render.com free tier (512MB RAM limit)
       this.maxSize = 30; // Reduced for free tier
       this.maxMemoryUsage = 80 * 1024 * 1024; // 80MB max cache memory usage
       this.memoryCheckInterval = 300000; // Check memory every 5 minutes
+      this.persistEnabled = options.persistEnabled ?? process.env.CACHE_PERSIST_ENABLED === 'true';
+      this.persistPath = options.persistPath || process.env.CACHE_PERSIST_PATH || DEFAULT_PERSIST_PATH;
+
+      // Restore before anything reads the cache (the scheduler checks it at startup)
+      this.restore();
       
       // Start memory monitoring
       this.startMemoryMonitoring();
@@ -39,6 +51,7 @@ class Cache {
       });
       
       this.timestamps.set(key, new Date().toISOString());
+      this.persist();
       
       console.log(`💾 Cache SET: ${key} (expires in ${ttlSeconds}s, ~${Math.round(estimatedSize/1024)}KB)`);
     }
@@ -71,6 +84,7 @@ class Cache {
     delete(key) {
       this.cache.delete(key);
       this.timestamps.delete(key);
+      this.persist();
       console.log(`🗑️ Cache DELETE: ${key}`);
     }
   
@@ -78,13 +92,79 @@ class Cache {
     clear() {
       this.cache.clear();
       this.timestamps.clear();
+      this.persist();
       console.log(`🧹 Cache CLEARED`);
     }
+
+    // Write every entry, with its expiry and set time, to the persist file. The cache
+    // holds a few small entries and changes rarely, so a synchronous write keeps the
+    // file in step with memory; writing to a temp file first means a crash never
+    // leaves it half-written.
+    persist() {
+      if (!this.persistEnabled) return;
+
+      const entries = Array.from(this.cache.entries()).map(([key, item]) => ({
+        key,
+        value: item.value,
+        expiresAt: item.expiresAt,
+        timestamp: this.timestamps.get(key)
+      }));
+
+      try {
+        fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+        const tempPath = `${this.persistPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ version: 1, savedAt: new Date().toISOString(), entries }));
+        fs.renameSync(tempPath, this.persistPath);
+      } catch (error) {
+        console.log('⚠️ Failed to persist cache:', error.message);
+      }
+    }
+
+    // Load unexpired entries from the persist file; a missing or unreadable file
+    // just means starting empty
+    restore() {
+      if (!this.persistEnabled) return;
+
+      let saved;
+      try {
+        saved = JSON.parse(fs.readFileSync(this.persistPath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.log('⚠️ Ignoring unreadable cache file:', error.message);
+        }
+        return;
+      }
+
+      const now = Date.now();
+      let restored = 0;
+      (Array.isArray(saved?.entries) ? saved.entries : []).forEach(entry => {
+        if (typeof entry?.key !== 'string' || !(entry.expiresAt > now) || entry.value === undefined) return;
+        if (this.cache.size >= this.maxSize) return;
+
+        this.cache.set(entry.key, {
+          value: entry.value,
+          expiresAt: entry.expiresAt,
+          size: this.estimateMemoryUsage(entry.value),
+          accessCount: 0,
+          lastAccess: now
+        });
+        this.timestamps.set(entry.key, entry.timestamp || new Date(now).toISOString());
+        restored++;
+      });
+
+      console.log(`💾 Cache restored ${restored} entr${restored === 1 ? 'y' : 'ies'} from ${this.persistPath}`);
+    }
   
     // Get cache timestamp
     getTimestamp(key) {
       return this.timestamps.get(key);
     }
+
+    // Seconds since the key was last set, or null when it isn't cached
+    getAge(key) {
+      const timestamp = this.timestamps.get(key);
+      return timestamp ? Math.max(0, Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000)) : null;
+    }
   
     // Get cache status
     getStatus() {
@@ -147,7 +227,8 @@ class Cache {
     }
 
     startMemoryMonitoring() {
-      setInterval(() => {
+      // unref() so the monitor alone never keeps a process (e.g. a test run) alive
+      const monitor = setInterval(() => {
         const processMemory = process.memoryUsage();
         const cacheMemory = this.getCurrentMemoryUsage();
         const memoryMB = Math.round(processMemory.rss / 1024 / 1024);
@@ -159,6 +240,7 @@ class Cache {
           console.log(`📊 Memory status: ${memoryMB}MB (cache: ${Math.round(cacheMemory/1024/1024)}MB)`);
         }
       }, this.memoryCheckInterval);
+      monitor.unref();
     }
 
     // Enhanced status for monitoring
@@ -180,4 +262,5 @@ class Cache {
   // Create singleton instance
   const cache = new Cache();
   
-  module.exports = cache;
\ No newline at end of file
+  module.exports = cache;
+  module.exports.Cache = Cache;
\ No newline at end of file
@@ -0,0 +1,205 @@
+// Blob storage cost quotes from the current storage and write prices
+// Walrus charges for the erasure-encoded size (RedStuff), not the raw blob size, in
+// 1 MiB storage units: the write price once, the storage price once per epoch.
+
+const BYTES_PER_MIB = 1024 * 1024;
+const FROST_PER_WAL = 1e9;
+// Used when the cached data has no shard count; both networks run 1000 shards
+const DEFAULT_SHARDS = 1000;
+// Symbol sizes are u16 and must be even for the Reed-Solomon encoder
+const MAX_SYMBOL_SIZE = 65534;
+const SYMBOL_ALIGNMENT = 2;
+// Blob metadata holds a primary and a secondary sliver hash per shard plus the blob ID,
+// and every shard stores its own copy
+const HASH_BYTES = 32;
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12,
+  kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4
+};
+
+class CostCalculator {
+  // Bytes from a number or a string such as '10 MiB', '1.5GB' or '2048'; null when invalid
+  parseSize(input) {
+    if (typeof input === 'number') {
+      return Number.isSafeInteger(input) && input > 0 ? input : null;
+    }
+    if (typeof input !== 'string') return null;
+
+    const match = input.trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+    if (!match) return null;
+
+    const factor = SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+    if (!factor) return null;
+
+    const bytes = Math.ceil(parseFloat(match[1]) * factor);
+    return Number.isSafeInteger(bytes) && bytes > 0 ? bytes : null;
+  }
+
+  // Validate one quote request; returns { bytes, epochs } or { error }. maxBlobSize
+  // is optional so callers can reject bad input before prices are loaded.
+  validateQuote({ size, epochs }, { maxEpochs, maxBlobSize }) {
+    const bytes = this.parseSize(size);
+    if (!bytes) {
+      return { error: 'size must be a positive number of bytes or a string such as "10 MiB" or "1.5 GB"' };
+    }
+    if (maxBlobSize && bytes > maxBlobSize) {
+      return { error: `size exceeds the maximum blob size of ${this.formatBytes(maxBlobSize)}` };
+    }
+
+    const epochCount = Number(epochs);
+    if ((typeof epochs !== 'number' && typeof epochs !== 'string') || epochs === '' ||
+        !Number.isInteger(epochCount) || epochCount < 1 || epochCount > maxEpochs) {
+      return { error: `epochs must be an integer between 1 and ${maxEpochs}` };
+    }
+
+    return { bytes, epochs: epochCount };
+  }
+
+  // Upload manifest CSV with an id, sizeBytes (or size) and epochs column. Without a
+  // header row the columns are taken in that order. `row` is the line number.
+  parseManifestCsv(text) {
+    const lines = String(text).split(/\r?\n/);
+    let columns = { id: 0, size: 1, epochs: 2 };
+    let firstLine = true;
+    const entries = [];
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      const cells = this.splitCsvLine(line);
+      const isHeader = firstLine && cells.some(cell => /^(id|size|sizebytes|epochs)$/i.test(cell));
+      firstLine = false;
+
+      if (isHeader) {
+        const names = cells.map(cell => cell.toLowerCase());
+        columns = {
+          id: names.indexOf('id'),
+          size: names.includes('sizebytes') ? names.indexOf('sizebytes') : names.indexOf('size'),
+          epochs: names.indexOf('epochs')
+        };
+        return;
+      }
+
+      entries.push({
+        row: index + 1,
+        id: columns.id >= 0 ? cells[columns.id] : undefined,
+        sizeBytes: cells[columns.size],
+        epochs: cells[columns.epochs]
+      });
+    });
+
+    return entries;
+  }
+
+  // Split one CSV line, honouring double-quoted cells ("a,b" and "" escapes)
+  splitCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          current += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    cells.push(current.trim());
+    return cells;
+  }
+
+  // Source symbols per sliver for n shards, tolerating f = (n - 1) / 3 faulty shards
+  getSymbolCounts(shards) {
+    const faulty = Math.floor((shards - 1) / 3);
+    return { primary: shards - 2 * faulty, secondary: shards - faulty };
+  }
+
+  // Largest blob the encoding can hold with this many shards
+  getMaxBlobSize(shards = DEFAULT_SHARDS) {
+    const { primary, secondary } = this.getSymbolCounts(shards);
+    return primary * secondary * MAX_SYMBOL_SIZE;
+  }
+
+  // Size after RedStuff encoding: every shard stores one primary and one secondary sliver
+  getEncodedSize(bytes, shards = DEFAULT_SHARDS) {
+    const { primary, secondary } = this.getSymbolCounts(shards);
+    const symbolsPerBlob = primary * secondary;
+    const symbolSize = Math.max(SYMBOL_ALIGNMENT,
+      Math.ceil(Math.ceil(bytes / symbolsPerBlob) / SYMBOL_ALIGNMENT) * SYMBOL_ALIGNMENT);
+    const metadataBytes = shards * (shards * HASH_BYTES * 2 + HASH_BYTES);
+
+    return {
+      bytes: shards * (primary + secondary) * symbolSize + metadataBytes,
+      symbolSize,
+      primarySymbols: primary,
+      secondarySymbols: secondary,
+      metadataBytes
+    };
+  }
+
+  // Quote for storing `bytes` for `epochs` epochs at the given prices (FROST per MiB)
+  estimate({ bytes, epochs, storagePrice, writePrice, shards = DEFAULT_SHARDS }) {
+    const encoded = this.getEncodedSize(bytes, shards);
+    const storageUnits = Math.ceil(encoded.bytes / BYTES_PER_MIB);
+
+    const writeCost = storageUnits * writePrice;
+    const storageCost = storageUnits * storagePrice * epochs;
+
+    return {
+      size: { bytes, display: this.formatBytes(bytes) },
+      encodedSize: { bytes: encoded.bytes, display: this.formatBytes(encoded.bytes) },
+      storageUnits,
+      epochs,
+      writeCost: this.amount(writeCost),
+      storageCost: this.amount(storageCost),
+      totalCost: this.amount(writeCost + storageCost),
+      encoding: {
+        shards,
+        primarySymbols: encoded.primarySymbols,
+        secondarySymbols: encoded.secondarySymbols,
+        symbolSize: encoded.symbolSize,
+        metadataBytes: encoded.metadataBytes,
+        overhead: parseFloat((encoded.bytes / bytes).toFixed(2))
+      }
+    };
+  }
+
+  // FROST amount with its WAL equivalent
+  amount(frost) {
+    const wal = parseFloat((frost / FROST_PER_WAL).toFixed(9));
+    return {
+      frost,
+      wal,
+      display: `${wal.toLocaleString('en-US', { maximumFractionDigits: 9 })} WAL`
+    };
+  }
+
+  formatBytes(bytes) {
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let value = bytes;
+    let index = 0;
+    while (value >= 1024 && index < units.length - 1) {
+      value /= 1024;
+      index++;
+    }
+    return `${parseFloat(value.toFixed(2))} ${units[index]}`;
+  }
+}
+
+module.exports = new CostCalculator();
+module.exports.CostCalculator = CostCalculator;
+module.exports.DEFAULT_SHARDS = DEFAULT_SHARDS;
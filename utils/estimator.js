@@ -0,0 +1,212 @@
+// Estimation model built from stored history
+// Only used when a value can't be observed. Prices carry the last observed value forward,
+// used capacity follows a linear or exponential trend fitted to recent snapshots, and the
+// epoch is derived from a known epoch start and duration. Every estimate says how it was
+// made, its error band and the history window it was fit on.
+const snapshotStore = require('./snapshotStore');
+const provenance = require('../scrapers/provenance');
+const epochClock = require('../scrapers/epochClock');
+const unitFormatter = require('./unitFormatter');
+
+// Days of history the capacity trend and price steps are fit on
+const WINDOW_DAYS = parseInt(process.env.ESTIMATE_WINDOW_DAYS, 10) || 30;
+// Fewer observations than this and capacity is carried forward instead of fitted
+const MIN_TREND_POINTS = 3;
+// Two-sided 95% band from the residual standard error
+const BAND_Z = 1.96;
+const DAY_MS = 86400 * 1000;
+
+class Estimator {
+  constructor(options = {}) {
+    this.windowDays = options.windowDays ?? WINDOW_DAYS;
+  }
+
+  // Estimates of every core field at `at`; a field is null when there is no history to
+  // build it from. The epoch can always be derived from the network's schedule.
+  async estimate(network, at = new Date()) {
+    const to = at.toISOString();
+    const from = new Date(at.getTime() - this.windowDays * DAY_MS).toISOString();
+    const history = await snapshotStore.observations(network.name, { to });
+    const range = { from, to };
+    const windowed = history.filter(point => point.scrapedAt >= from);
+
+    const epoch = this.estimateEpoch(network, history, at);
+    const data = {
+      storagePrice: this.estimatePrice('storagePrice', history, windowed, range, epoch),
+      writePrice: this.estimatePrice('writePrice', history, windowed, range, epoch),
+      storageCapacity: this.estimateCapacity(history, windowed, range, at),
+      epoch,
+      staking: null,
+      network: null,
+      dataSource: 'estimated',
+      timestamp: to
+    };
+
+    provenance.CORE_FIELDS.forEach(field => {
+      if (data[field]) data[field].provenance = provenance.create('estimated');
+    });
+    return provenance.stamp(data, { source: 'estimate', observedAt: new Date().toISOString() });
+  }
+
+  // Fill the fields listed in data.unavailable that can be estimated, marked `estimated`
+  async fill(network, data) {
+    if (!data?.unavailable?.length) return data;
+
+    const estimates = await this.estimate(network);
+    const filled = { ...data };
+    filled.unavailable = data.unavailable.filter(field => {
+      if (!estimates[field]) return true;
+      filled[field] = { ...estimates[field], estimated: true };
+      return false;
+    });
+    console.log(`📐 Estimated ${network.name} ${data.unavailable.filter(field => filled[field]).join(', ')} from history`);
+    return filled;
+  }
+
+  // Last observed price carried forward. Walrus prices only change at epoch boundaries, so
+  // the band widens by the largest step seen in the window for each boundary since.
+  estimatePrice(field, history, windowed, range, epoch) {
+    const observed = history.filter(point => point.data[field]?.value > 0 && !point.data[field].inherited);
+    const last = observed[observed.length - 1];
+    if (!last) return null;
+
+    const values = windowed.filter(point => observed.includes(point)).map(point => point.data[field].value);
+    const maxStep = values.slice(1).reduce((max, value, i) => Math.max(max, Math.abs(value - values[i])), 0);
+    // Without the epoch it was seen in, assume one boundary has passed
+    const lastEpoch = last.data.epoch?.number;
+    const boundaries = Number.isInteger(lastEpoch) ? Math.max(0, epoch.number - lastEpoch) : 1;
+    const value = last.data[field].value;
+
+    return {
+      value,
+      unit: last.data[field].unit,
+      display: value.toLocaleString('en-US'),
+      estimate: {
+        method: 'last-value',
+        basedOn: last.scrapedAt,
+        errorBand: { low: Math.max(0, value - maxStep * boundaries), high: value + maxStep * boundaries },
+        window: { ...range, points: values.length }
+      }
+    };
+  }
+
+  // Used TB from the better of a linear and an exponential fit over the window; total
+  // capacity changes rarely, so the last observed total is kept
+  estimateCapacity(history, windowed, range, at) {
+    const observed = history.filter(point => point.data.storageCapacity?.total > 0 && !point.data.storageCapacity.inherited);
+    const last = observed[observed.length - 1];
+    if (!last) return null;
+
+    // x is days since the start of the window
+    const days = (time) => (time - Date.parse(range.from)) / DAY_MS;
+    const total = last.data.storageCapacity.total;
+    const points = windowed
+      .filter(point => typeof point.data.storageCapacity?.used === 'number' && !point.data.storageCapacity.inherited)
+      .map(point => ({ x: days(Date.parse(point.scrapedAt)), y: point.data.storageCapacity.used }));
+
+    let estimate;
+    const fit = this.fitTrend(points);
+    if (fit) {
+      const used = fit.predict(days(at.getTime()));
+      const band = BAND_Z * fit.standardError;
+      estimate = {
+        used,
+        method: fit.method,
+        fit: fit.method === 'linear-trend'
+          ? { slopePerDay: this.round(fit.slope), standardError: this.round(fit.standardError) }
+          : { growthPerDay: this.round(Math.exp(fit.slope) - 1, 6), standardError: this.round(fit.standardError) },
+        errorBand: { low: Math.max(0, used - band), high: used + band }
+      };
+    } else if (typeof last.data.storageCapacity.used === 'number') {
+      const used = last.data.storageCapacity.used;
+      estimate = { used, method: 'last-value', basedOn: last.scrapedAt, errorBand: { low: used, high: used } };
+    } else {
+      return null;
+    }
+
+    const used = this.round(Math.min(estimate.used, total), 2);
+    const percentage = parseFloat(((used / total) * 100).toFixed(2));
+    return {
+      used,
+      total,
+      unit: 'TB',
+      percentage,
+      display: unitFormatter.formatCapacity(used, total),
+      percentageDisplay: `${percentage}%`,
+      estimate: {
+        method: estimate.method,
+        ...(estimate.basedOn && { basedOn: estimate.basedOn }),
+        ...(estimate.fit && { fit: estimate.fit }),
+        errorBand: { low: this.round(estimate.errorBand.low, 2), high: this.round(Math.min(estimate.errorBand.high, total), 2) },
+        window: { ...range, points: points.length }
+      }
+    };
+  }
+
+  // Least squares on y and on ln(y); the one with the smaller squared error in TB wins.
+  // Null when there are too few points or they all fall at one time.
+  fitTrend(points) {
+    if (points.length < MIN_TREND_POINTS) return null;
+    if (points.every(point => point.x === points[0].x)) return null;
+
+    const candidates = [];
+    const linear = this.leastSquares(points);
+    candidates.push({ method: 'linear-trend', ...linear, predict: x => linear.intercept + linear.slope * x });
+
+    if (points.every(point => point.y > 0)) {
+      const log = this.leastSquares(points.map(point => ({ x: point.x, y: Math.log(point.y) })));
+      candidates.push({ method: 'exponential-trend', ...log, predict: x => Math.exp(log.intercept + log.slope * x) });
+    }
+
+    const scored = candidates.map(candidate => {
+      const sse = points.reduce((sum, point) => sum + (point.y - candidate.predict(point.x)) ** 2, 0);
+      return { ...candidate, sse, standardError: Math.sqrt(sse / Math.max(1, points.length - 2)) };
+    });
+    return scored.reduce((best, candidate) => (candidate.sse < best.sse ? candidate : best));
+  }
+
+  leastSquares(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+    const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    const sxy = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+    const slope = sxy / sxx;
+    return { slope, intercept: meanY - slope * meanX };
+  }
+
+  // Epoch projected from the newest epoch whose start and duration were read from chain,
+  // or from the network's configured schedule. Boundaries can slip, so the band allows one
+  // epoch either way once the projection crosses a boundary it has not seen.
+  estimateEpoch(network, history, at) {
+    const known = history.slice().reverse().find(point => {
+      const epoch = point.data.epoch;
+      return epoch?.timingSource === 'chain' && epoch.startTime && epoch.durationSeconds > 0 && !epoch.inherited;
+    });
+    const schedule = known
+      ? { durationSeconds: known.data.epoch.durationSeconds, anchor: { number: known.data.epoch.number, startTime: known.data.epoch.startTime } }
+      : network.epochSchedule;
+
+    const epoch = epochClock.project({ epochSchedule: schedule }, at.getTime());
+    const crossed = epoch.number - schedule.anchor.number;
+    const slack = known ? Math.min(1, crossed) : 1;
+
+    return {
+      ...epoch,
+      display: `Epoch ${epoch.number}`,
+      estimate: {
+        method: 'epoch-schedule',
+        anchor: { ...schedule.anchor, source: known ? 'chain' : 'config' },
+        errorBand: { low: Math.max(1, epoch.number - slack), high: epoch.number + (known ? 0 : slack) },
+        window: { from: schedule.anchor.startTime, to: at.toISOString(), points: known ? 1 : 0 }
+      }
+    };
+  }
+
+  round(value, digits = 4) {
+    return parseFloat(value.toFixed(digits));
+  }
+}
+
+module.exports = new Estimator();
+module.exports.Estimator = Estimator;
@@ -0,0 +1,134 @@
+// Failure forensics: what a source saw when a scrape failed
+// Each capture is a directory holding capture.json (error, partial data, page console,
+// network errors) and, for page sources, screenshot.jpg and page.html. Captures are
+// kept in a bounded ring buffer on disk; the oldest are deleted first.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'forensics');
+const MAX_HTML_LENGTH = 2 * 1024 * 1024;
+const MAX_LOG_ENTRIES = 200;
+
+// Files a capture may contain
+const CAPTURE_FILES = ['capture.json', 'screenshot.jpg', 'page.html'];
+
+const CAPTURE_ID_PATTERN = /^[\w-]{1,120}$/;
+
+class ForensicsStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.FORENSICS_DIR || DEFAULT_DIR;
+    this.maxCaptures = options.maxCaptures || parseInt(process.env.FORENSICS_MAX_CAPTURES) || 20;
+    this.enabled = options.enabled ?? process.env.FORENSICS_ENABLED !== 'false';
+  }
+
+  // Write a capture; never throws, returns the capture id or null
+  async record({ source, network, url, reason, error, data, console: consoleMessages, networkErrors, screenshot, html }) {
+    if (!this.enabled) return null;
+
+    const capturedAt = new Date().toISOString();
+    const safeSource = String(source || 'unknown').replace(/[^\w-]/g, '_').substring(0, 40);
+    const id = `${capturedAt.replace(/[:.]/g, '-')}-${safeSource}-${crypto.randomBytes(3).toString('hex')}`;
+    const captureDir = path.join(this.dir, id);
+
+    try {
+      await fs.promises.mkdir(captureDir, { recursive: true });
+
+      const files = ['capture.json'];
+      if (screenshot) {
+        await fs.promises.writeFile(path.join(captureDir, 'screenshot.jpg'), screenshot);
+        files.push('screenshot.jpg');
+      }
+      if (html) {
+        await fs.promises.writeFile(path.join(captureDir, 'page.html'), html.substring(0, MAX_HTML_LENGTH));
+        files.push('page.html');
+      }
+
+      const capture = {
+        id,
+        source: source || null,
+        network: network || null,
+        url: url || null,
+        reason,
+        error: error || null,
+        capturedAt,
+        files,
+        data: data || null,
+        console: (consoleMessages || []).slice(-MAX_LOG_ENTRIES),
+        networkErrors: (networkErrors || []).slice(-MAX_LOG_ENTRIES)
+      };
+      await fs.promises.writeFile(path.join(captureDir, 'capture.json'), JSON.stringify(capture, null, 2));
+
+      await this.prune();
+      console.log(`🔍 Forensics captured for ${capture.source}: ${id}`);
+      return id;
+    } catch (writeError) {
+      console.log('⚠️ Failed to record forensics:', writeError.message);
+      return null;
+    }
+  }
+
+  // Capture ids, newest first (ids start with the capture timestamp)
+  async listIds() {
+    try {
+      const entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isDirectory() && CAPTURE_ID_PATTERN.test(entry.name))
+        .map(entry => entry.name)
+        .sort()
+        .reverse();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Summaries without the bulky console / network / data sections
+  async list() {
+    const captures = await Promise.all((await this.listIds()).map(id => this.get(id)));
+    return captures
+      .filter(Boolean)
+      .map(({ id, source, network, url, reason, error, capturedAt, files }) => ({ id, source, network, url, reason, error, capturedAt, files }));
+  }
+
+  async get(id) {
+    const filePath = this.getFilePath(id, 'capture.json');
+    if (!filePath) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Resolve a capture file, or null for unknown ids and file names
+  getFilePath(id, file) {
+    if (!CAPTURE_ID_PATTERN.test(String(id)) || !CAPTURE_FILES.includes(file)) {
+      return null;
+    }
+
+    const filePath = path.join(this.dir, id, file);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  // Drop the oldest captures beyond maxCaptures
+  async prune() {
+    const expired = (await this.listIds()).slice(this.maxCaptures);
+    await Promise.all(expired.map(id =>
+      fs.promises.rm(path.join(this.dir, id), { recursive: true, force: true })
+    ));
+    return expired.length;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      dir: this.dir,
+      maxCaptures: this.maxCaptures
+    };
+  }
+}
+
+module.exports = new ForensicsStore();
+module.exports.ForensicsStore = ForensicsStore;
@@ -0,0 +1,130 @@
+// Last-known-good field values
+// A scrape that comes back with only some fields has the missing ones filled from the most
+// recent real observation of each field. The filled field keeps its original observedAt and
+// is marked `inherited`. A field never observed is left null and listed in `unavailable`;
+// nothing is made up. The staking and network sections are carried forward the same way,
+// since most refreshes don't scrape them at all; they are optional, so never unavailable.
+const snapshotStore = require('./snapshotStore');
+const { CORE_FIELDS, SECTION_FIELDS, PROVENANCE_FIELDS } = require('../scrapers/provenance');
+
+// Generated rather than observed, so never worth remembering
+const PLACEHOLDER_STRATEGIES = ['constant', 'estimated'];
+const PLACEHOLDER_SOURCES = ['estimated', 'fallback'];
+
+class LastKnownGood {
+  constructor() {
+    // Per network and field: { value, observedAt }
+    this.observations = {};
+    // Per network: the one-off lookup of earlier observations in the snapshot store
+    this.loading = {};
+  }
+
+  // Whether data[field] is a real observation and not a placeholder or an inherited value
+  isObservation(data, field) {
+    const value = data?.[field];
+    return Boolean(value) && typeof value === 'object' && !value.inherited &&
+      !PLACEHOLDER_SOURCES.includes(data.dataSource) &&
+      !PLACEHOLDER_STRATEGIES.includes(value.provenance?.strategy);
+  }
+
+  // Remember the real fields of a validated scrape
+  observe(networkName, data) {
+    PROVENANCE_FIELDS.forEach(field => {
+      if (this.isObservation(data, field)) {
+        this.remember(networkName, field, data[field], data[field].provenance?.observedAt || data.timestamp);
+      }
+    });
+  }
+
+  // Keep an observation unless a newer one is already known
+  remember(networkName, field, value, observedAt) {
+    const time = new Date(observedAt).getTime() ? new Date(observedAt).toISOString() : new Date().toISOString();
+    const known = this.observations[networkName] = this.observations[networkName] || {};
+    if (!known[field] || known[field].observedAt <= time) {
+      known[field] = { value, observedAt: time };
+    }
+  }
+
+  // After a restart the snapshot store still knows the last observation of each field
+  load(networkName) {
+    if (!this.loading[networkName]) {
+      this.loading[networkName] = snapshotStore.latestObservations(networkName, PROVENANCE_FIELDS)
+        .then(found => {
+          Object.entries(found).forEach(([field, { value, observedAt }]) => {
+            this.remember(networkName, field, value, observedAt);
+          });
+        })
+        .catch(error => console.error(`❌ Failed to load last known ${networkName} values:`, error.message));
+    }
+    return this.loading[networkName];
+  }
+
+  // Copy of data with each missing core field inherited, or listed as unavailable, and
+  // each missing section inherited when it was ever observed
+  async merge(networkName, data) {
+    await this.load(networkName);
+
+    const merged = { ...data };
+    const unavailable = [];
+    CORE_FIELDS.forEach(field => {
+      if (merged[field]) return;
+
+      const known = this.observations[networkName]?.[field];
+      if (known) {
+        merged[field] = this.inherit(known);
+      } else {
+        merged[field] = null;
+        unavailable.push(field);
+      }
+    });
+    SECTION_FIELDS.forEach(field => {
+      const known = this.observations[networkName]?.[field];
+      if (!merged[field] && known) {
+        merged[field] = this.inherit(known);
+      }
+    });
+
+    const inherited = PROVENANCE_FIELDS.filter(field => merged[field]?.inherited);
+    if (inherited.length > 0) {
+      console.log(`♻️ Inherited last known ${networkName} ${inherited.join(', ')}`);
+    }
+    if (unavailable.length > 0) {
+      merged.unavailable = unavailable;
+    } else {
+      delete merged.unavailable;
+    }
+    return merged;
+  }
+
+  // Served when nothing is cached: every field from its last observation
+  build(networkName) {
+    return this.merge(networkName, {
+      storagePrice: null,
+      writePrice: null,
+      storageCapacity: null,
+      epoch: null,
+      staking: null,
+      network: null,
+      dataSource: 'fallback',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  inherit({ value, observedAt }) {
+    const copy = JSON.parse(JSON.stringify(value));
+    return {
+      ...copy,
+      inherited: true,
+      provenance: { ...copy.provenance, observedAt }
+    };
+  }
+
+  // Forget everything, so the next merge reloads from the snapshot store
+  reset(networkName) {
+    delete this.observations[networkName];
+    delete this.loading[networkName];
+  }
+}
+
+module.exports = new LastKnownGood();
+module.exports.LastKnownGood = LastKnownGood;
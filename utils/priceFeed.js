@@ -0,0 +1,76 @@
+// Optional fiat layer: converts FROST amounts using the WAL price from a price feed
+// The feed is an adapter - { name, url?, fetchRate(currency) } returning the price of
+// 1 WAL in that currency - so it can be swapped for another provider or a test stub.
+const cache = require('./cache');
+const { createHttpJsonFeed } = require('./priceFeeds/httpJson');
+
+const FROST_PER_WAL = 1e9;
+
+class PriceFeed {
+  constructor(options = {}) {
+    this.currencies = (options.currencies || process.env.PRICE_FEED_CURRENCIES || 'usd,eur,gbp')
+      .split(',')
+      .map(currency => currency.trim().toLowerCase())
+      .filter(currency => /^[a-z]{3}$/.test(currency));
+    // Rates are cached separately from scraped data, with their own TTL
+    this.ttl = options.ttl || parseInt(process.env.PRICE_FEED_TTL, 10) || 300;
+    this.setAdapter(options.adapter || createHttpJsonFeed({
+      url: process.env.PRICE_FEED_URL,
+      path: process.env.PRICE_FEED_PATH
+    }));
+  }
+
+  setAdapter(adapter) {
+    if (!adapter || typeof adapter.name !== 'string' || typeof adapter.fetchRate !== 'function') {
+      throw new Error('Price feed adapter must have a name and a fetchRate(currency) function');
+    }
+    this.adapter = adapter;
+    console.log(`💱 Price feed adapter: ${adapter.name}`);
+  }
+
+  isSupported(currency) {
+    return this.currencies.includes(currency);
+  }
+
+  // { currency, rate, source, fetchedAt }, or null when the feed is unavailable
+  async getRate(currency) {
+    const key = `fiat-rate:${currency}`;
+    const cached = cache.get(key);
+    if (cached) return cached;
+
+    try {
+      const rate = await this.adapter.fetchRate(currency);
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error(`Invalid ${currency} rate: ${rate}`);
+      }
+
+      const entry = { currency, rate, source: this.adapter.name, fetchedAt: new Date().toISOString() };
+      cache.set(key, entry, this.ttl);
+      return entry;
+    } catch (error) {
+      console.log(`❌ WAL/${currency.toUpperCase()} price feed failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Fiat value of a FROST amount at the given rate
+  convert(frost, rate) {
+    const value = (frost / FROST_PER_WAL) * rate.rate;
+    return {
+      currency: rate.currency,
+      value: parseFloat(value.toPrecision(6)),
+      display: `${this.formatValue(value)} ${rate.currency.toUpperCase()}`
+    };
+  }
+
+  // Prices per MiB are fractions of a cent, so keep significant digits rather than decimals
+  formatValue(value) {
+    if (value === 0) return '0';
+    return value >= 0.01
+      ? value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+      : value.toPrecision(3);
+  }
+}
+
+module.exports = new PriceFeed();
+module.exports.PriceFeed = PriceFeed;
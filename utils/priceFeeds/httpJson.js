@@ -0,0 +1,57 @@
+// Generic HTTP JSON price feed - GETs a URL and reads the WAL price from a path in the
+// response. Defaults to CoinGecko's simple price API; `{currency}` in the URL and path
+// is replaced with the requested currency code.
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_URL = 'https://api.coingecko.com/api/v3/simple/price?ids=walrus-2&vs_currencies={currency}';
+const DEFAULT_PATH = 'walrus-2.{currency}';
+
+const createHttpJsonFeed = (options = {}) => {
+  const url = options.url || DEFAULT_URL;
+  const path = options.path || DEFAULT_PATH;
+  const timeout = options.timeout || 5000;
+
+  const get = (target) => new Promise((resolve, reject) => {
+    const client = target.startsWith('https:') ? https : http;
+    const req = client.get(target, { headers: { Accept: 'application/json' } }, (res) => {
+      let raw = '';
+      res.on('data', chunk => raw += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          return reject(new Error(`Price feed returned HTTP ${res.statusCode}`));
+        }
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          reject(new Error('Price feed returned invalid JSON'));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(timeout, () => req.destroy(new Error('Price feed timed out')));
+  });
+
+  return {
+    name: 'http-json',
+    url,
+
+    // Price of 1 WAL in `currency`
+    async fetchRate(currency) {
+      const body = await get(url.replace(/\{currency\}/g, encodeURIComponent(currency)));
+      const pricePath = path.replace(/\{currency\}/g, currency);
+      const value = pricePath
+        .split('.')
+        .reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), body);
+
+      const rate = Number(value);
+      if (!Number.isFinite(rate) || rate <= 0) {
+        throw new Error(`No ${currency} price at ${pricePath} in price feed response`);
+      }
+      return rate;
+    }
+  };
+};
+
+module.exports = { createHttpJsonFeed, DEFAULT_URL, DEFAULT_PATH };
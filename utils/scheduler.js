@@ -1,12 +1,31 @@
 const cron = require('node-cron');
 const cache = require('./cache');
+const snapshotStore = require('./snapshotStore');
+const scrapeCoordinator = require('./scrapeCoordinator');
+const lastKnownGood = require('./lastKnownGood');
+const anomalyDetector = require('./anomalyDetector');
 const walrusScraper = require('../scrapers/walrusScraper');
+const networks = require('../config/networks');
+
+// Scraped data is fresh for CACHE_TTL seconds. After that it is stale: still served, but a
+// background refresh is started. It stays in the cache for CACHE_STALE_TTL seconds.
+const FRESH_SECONDS = parseInt(process.env.CACHE_TTL, 10) || 86400;
+const STALE_TTL = parseInt(process.env.CACHE_STALE_TTL, 10) || 7 * 86400;
+// After a failed refresh, requests wait this long before starting another
+const REVALIDATE_RETRY_SECONDS = parseInt(process.env.REVALIDATE_RETRY_SECONDS, 10) || 900;
 
 class WalrusScheduler {
   constructor() {
     this.isRunning = false;
     this.lastRun = null;
     this.nextRun = null;
+    // Per-network run state, so one network failing does not hide the others
+    this.networkRuns = {};
+    // Refresh in flight per network; the cron run and request-triggered refreshes share it
+    this.refreshes = {};
+    // Node directory refresh in flight per network, and when the last one failed
+    this.nodeRefreshes = {};
+    this.nodeFailures = {};
   }
 
   // Start the daily scheduler at 00:00 UTC
@@ -53,8 +72,8 @@ class WalrusScheduler {
     }
   }
 
-  // Perform the daily scraping
-  async performDailyScrape() {
+  // Perform the daily scraping for every enabled network (or the given ones)
+  async performDailyScrape(networkNames = networks.getEnabledNames()) {
     if (this.isRunning) {
       console.log('⚠️ Scraping already in progress, skipping...');
       return;
@@ -65,43 +84,176 @@ class WalrusScheduler {
     
     try {
       console.log('🚀 Starting scheduled daily scrape at', this.lastRun);
+
+      // One network at a time - the free tier only has room for one browser
+      for (const networkName of networkNames) {
+        await this.scrapeNetwork(networkName);
+      }
       
-      // Clear existing cache
-      cache.delete('walrus-data');
-      
-      // Scrape fresh data
-      const freshData = await walrusScraper.scrapeWalrusData();
+    } finally {
+      this.isRunning = false;
+      this.updateNextRunTime();
+    }
+  }
+
+  // Scrape and cache one network. A refresh already running for it is joined, not repeated;
+  // resolves with the run record ({ lastRun, success, outcome })
+  scrapeNetwork(networkName, origin = 'scheduled') {
+    if (!this.refreshes[networkName]) {
+      this.refreshes[networkName] = this.refreshNetwork(networkName, origin)
+        .finally(() => delete this.refreshes[networkName]);
+    }
+    return this.refreshes[networkName];
+  }
+
+  // The previous data stays cached until a valid replacement is ready, then is swapped
+  // in one set - there is never an empty window
+  async refreshNetwork(networkName, origin) {
+    const key = networks.cacheKey(networkName);
+    const run = { lastRun: new Date().toISOString(), success: false };
+    this.networkRuns[networkName] = run;
+
+    try {
+      // Scrape fresh data, joining a scrape another caller already started. Only the daily
+      // refresh fills staking / network sections, which can take a Chromium run; other
+      // refreshes inherit them from the last one that did.
+      const { data: scraped, outcome } = await scrapeCoordinator.scrape(networkName, {
+        caller: `${origin} refresh`,
+        supplement: origin === 'scheduled'
+      });
+      run.outcome = outcome;
+      // Fields the scrape missed are inherited from their last observation
+      const freshData = scraped && await lastKnownGood.merge(networkName, scraped);
       
-      if (freshData) {
-        // Cache the fresh data for 24 hours
-        cache.set('walrus-data', freshData, 86400);
-        console.log('✅ Daily scrape completed successfully');
-        console.log('📊 Data cached until next scheduled run');
+      // Data within bounds can still be inconsistent with recent history; that is held
+      // for review rather than served, and never served if it can't be held
+      const anomalies = freshData && walrusScraper.validateDataStrict(freshData, networkName)
+        ? await anomalyDetector.check(networkName, scraped)
+        : null;
+
+      if (anomalies?.length > 0) {
+        run.anomalies = anomalies;
+        run.quarantined = await snapshotStore.quarantine(networkName, scraped, origin, anomalies);
+        console.error(run.quarantined
+          ? `❌ ${networkName} refresh quarantined as #${run.quarantined} - ${anomalies.length} anomalies, keeping previous data`
+          : `❌ ${networkName} refresh failed - ${anomalies.length} anomalies and the scrape could not be quarantined, keeping previous data`);
+      } else if (anomalies) {
+        cache.set(key, freshData, STALE_TTL);
+        run.success = true;
+        console.log(`✅ ${networkName} refresh completed successfully (${origin})`);
+        // Snapshots hold what was observed, without inherited fields
+        lastKnownGood.observe(networkName, scraped);
+        await snapshotStore.record(networkName, scraped, origin);
       } else {
-        console.error('❌ Daily scrape failed - no data retrieved');
+        console.error(`❌ ${networkName} refresh failed - ${freshData ? 'data failed validation' : `no data retrieved (${outcome})`}, keeping previous data`);
       }
       
     } catch (error) {
-      console.error('❌ Error during scheduled scrape:', error.message);
-    } finally {
-      this.isRunning = false;
-      this.updateNextRunTime();
+      run.error = error.message;
+      console.error(`❌ Error during ${networkName} refresh:`, error.message);
+    }
+
+    await this.scrapeNodes(networkName);
+    return run;
+  }
+
+  // Serve and record a quarantined scrape a reviewer approved. Data scraped after it stays
+  // cached. Resolves with the entry and its snapshot id, or null when it was not pending.
+  async approveQuarantined(id) {
+    const entry = await snapshotStore.reviewQuarantined(id, 'approved');
+    if (!entry) return null;
+
+    const key = networks.cacheKey(entry.network);
+    const cachedAt = Date.parse(cache.get(key)?.timestamp);
+    const served = !(cachedAt > Date.parse(entry.scrapedAt));
+    if (served) {
+      cache.set(key, await lastKnownGood.merge(entry.network, entry.data), STALE_TTL);
+    }
+    lastKnownGood.observe(entry.network, entry.data);
+    const snapshotId = await snapshotStore.record(entry.network, entry.data, entry.origin);
+    console.log(`✅ Approved quarantined ${entry.network} scrape #${id}${served ? ', now served' : ''}`);
+    return { entry, snapshotId, served };
+  }
+
+  // Whether the network's cached data is younger than the fresh window
+  isFresh(networkName) {
+    const age = cache.getAge(networks.cacheKey(networkName));
+    return age !== null && age < FRESH_SECONDS && cache.has(networks.cacheKey(networkName));
+  }
+
+  // Start a background refresh for stale or missing data without waiting for it.
+  // Returns true while a refresh is running, false when it is held back after a failure.
+  revalidate(networkName) {
+    if (this.refreshes[networkName]) return true;
+
+    const run = this.networkRuns[networkName];
+    if (run && !run.success && Date.now() - new Date(run.lastRun).getTime() < REVALIDATE_RETRY_SECONDS * 1000) {
+      return false;
+    }
+
+    console.log(`🔄 Revalidating ${networkName} data in the background`);
+    this.scrapeNetwork(networkName, 'cache-miss');
+    return true;
+  }
+
+  // Refresh the storage node directory, joining a refresh already running for the network
+  scrapeNodes(networkName) {
+    if (!this.nodeRefreshes[networkName]) {
+      this.nodeRefreshes[networkName] = this.refreshNodes(networkName)
+        .finally(() => delete this.nodeRefreshes[networkName]);
+    }
+    return this.nodeRefreshes[networkName];
+  }
+
+  // The previous list is kept if this fails
+  async refreshNodes(networkName) {
+    try {
+      const directory = await walrusScraper.scrapeNodes(networkName);
+      if (directory) {
+        cache.set(networks.cacheKey(networkName, 'nodes'), directory, 86400);
+        delete this.nodeFailures[networkName];
+        console.log(`✅ Cached ${directory.nodes.length} ${networkName} storage nodes`);
+        return true;
+      }
+      console.error(`❌ ${networkName} node directory refresh failed - keeping previous list`);
+    } catch (error) {
+      console.error(`❌ Error refreshing ${networkName} node directory:`, error.message);
+    }
+    this.nodeFailures[networkName] = Date.now();
+    return false;
+  }
+
+  // Start a background node directory refresh without waiting for it, like revalidate()
+  revalidateNodes(networkName) {
+    if (this.nodeRefreshes[networkName]) return true;
+
+    const failedAt = this.nodeFailures[networkName];
+    if (failedAt && Date.now() - failedAt < REVALIDATE_RETRY_SECONDS * 1000) {
+      return false;
     }
+
+    console.log(`🔄 Fetching ${networkName} storage nodes in the background`);
+    this.scrapeNodes(networkName);
+    return true;
   }
 
-  // Perform initial scrape if no cached data exists
+  // Perform initial scrape for networks without fresh cached data
   async performInitialScrapeIfNeeded() {
-    const cachedData = cache.get('walrus-data');
-    
-    if (!cachedData) {
-      console.log('🔍 No cached data found, performing initial scrape...');
-      await this.performDailyScrape();
-    } else {
-      console.log('📦 Cached data found, skipping initial scrape');
-      const cacheTimestamp = cache.getTimestamp('walrus-data');
+    const missing = networks.getEnabledNames().filter(networkName => {
+      const key = networks.cacheKey(networkName);
+      if (!this.isFresh(networkName)) return true;
+
+      console.log(`📦 Fresh ${networkName} data cached, skipping initial scrape`);
+      const cacheTimestamp = cache.getTimestamp(key);
       if (cacheTimestamp) {
         console.log(`📅 Data last updated: ${new Date(cacheTimestamp).toISOString()}`);
       }
+      return false;
+    });
+    
+    if (missing.length > 0) {
+      console.log(`🔍 No fresh cached data for ${missing.join(', ')}, performing initial scrape...`);
+      await this.performDailyScrape(missing);
     }
   }
 
@@ -137,15 +289,39 @@ class WalrusScheduler {
     }
   }
 
-  // Get scheduler status
+  // Cache state for one network
+  getNetworkStatus(networkName) {
+    const key = networks.cacheKey(networkName);
+    const cacheStatus = !cache.has(key) ? 'empty' : this.isFresh(networkName) ? 'active' : 'stale';
+    return {
+      cacheStatus,
+      refreshing: Boolean(this.refreshes[networkName]),
+      scraping: scrapeCoordinator.isScraping(networkName),
+      cacheTimestamp: cache.getTimestamp(key),
+      lastRun: this.networkRuns[networkName]?.lastRun || null,
+      lastRunSucceeded: this.networkRuns[networkName]?.success ?? null,
+      lastRunQuarantined: this.networkRuns[networkName]?.quarantined ?? null,
+      nodesCacheStatus: cache.get(networks.cacheKey(networkName, 'nodes')) ? 'active' : 'empty'
+    };
+  }
+
+  // Get scheduler status; top-level cache fields describe the default network
   getStatus() {
+    const networkStatus = {};
+    networks.getEnabledNames().forEach(networkName => {
+      networkStatus[networkName] = this.getNetworkStatus(networkName);
+    });
+    const defaultStatus = this.getNetworkStatus(networks.getDefaultName());
+
     return {
       isRunning: this.isRunning,
       lastRun: this.lastRun,
       nextRun: this.nextRun,
       currentUTC: new Date().toISOString(),
-      cacheStatus: cache.get('walrus-data') ? 'active' : 'empty',
-      cacheTimestamp: cache.getTimestamp('walrus-data'),
+      cacheStatus: defaultStatus.cacheStatus,
+      cacheTimestamp: defaultStatus.cacheTimestamp,
+      networks: networkStatus,
+      scrapesInFlight: scrapeCoordinator.getStatus(),
       cronJobActive: this.cronJob ? this.cronJob.running : false
     };
   }
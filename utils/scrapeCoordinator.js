@@ -0,0 +1,117 @@
+// Single-flight scrape coordinator
+// At most one scrapeWalrusData() runs per network. Every caller - background refreshes,
+// the scheduler, /api/test-scraper and admin triggers - joins the scrape in flight instead
+// of starting its own, so a burst of cache misses costs one Chromium run, not one each.
+const walrusScraper = require('../scrapers/walrusScraper');
+
+// How long a caller waits for a scrape before giving up on it
+const DEFAULT_MAX_WAIT_MS = parseInt(process.env.SCRAPE_MAX_WAIT_MS, 10) || 180000;
+
+class ScrapeCoordinator {
+  constructor(options = {}) {
+    this.maxWaitMs = options.maxWaitMs ?? DEFAULT_MAX_WAIT_MS;
+    // Scrape in flight per network: { promise, cancelled, controller, caller, startedAt, waiters }
+    this.flights = {};
+  }
+
+  // Join the network's scrape in flight, or start one. Resolves with
+  // { data, outcome, joined }; outcome is 'completed', 'failed', 'timeout' or 'cancelled'.
+  // A caller that times out or aborts its signal stops waiting; the scrape carries on for
+  // the others and is only cancelled once nobody is waiting for it. supplement is passed to
+  // scrapeWalrusData by the caller that starts the scrape; joining one doesn't change it.
+  async scrape(networkName, { caller = 'unknown', maxWaitMs = this.maxWaitMs, signal, supplement = false } = {}) {
+    if (signal?.aborted) {
+      return { data: null, outcome: 'cancelled', joined: false };
+    }
+
+    const joined = Boolean(this.flights[networkName]);
+    const flight = this.flights[networkName] || this.start(networkName, caller, { supplement });
+    if (joined) {
+      console.log(`🔗 ${caller} joined the ${networkName} scrape started by ${flight.caller}`);
+    }
+    flight.waiters++;
+
+    let timer = null;
+    let onAbort = null;
+    const gaveUp = new Promise(resolve => {
+      timer = setTimeout(() => resolve('timeout'), maxWaitMs);
+      if (signal) {
+        onAbort = () => resolve('cancelled');
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    try {
+      const result = await Promise.race([flight.promise, flight.cancelled, gaveUp]);
+      if (typeof result === 'string') {
+        console.log(`⏱️ ${caller} stopped waiting for the ${networkName} scrape (${result})`);
+        return { data: null, outcome: result, joined };
+      }
+      return { data: result.data, outcome: result.outcome, joined };
+    } finally {
+      clearTimeout(timer);
+      if (onAbort) signal.removeEventListener('abort', onAbort);
+      flight.waiters--;
+      if (flight.waiters === 0 && this.flights[networkName] === flight) {
+        console.log(`🛑 Nobody is waiting for the ${networkName} scrape any more, cancelling it`);
+        flight.controller.abort();
+        delete this.flights[networkName];
+      }
+    }
+  }
+
+  start(networkName, caller, { supplement = false } = {}) {
+    const controller = new AbortController();
+    const flight = { controller, caller, startedAt: new Date().toISOString(), waiters: 0 };
+    console.log(`🚀 ${caller} started the ${networkName} scrape`);
+
+    // Waiters are released as soon as the scrape is cancelled, not when it next checks
+    flight.cancelled = new Promise(resolve => {
+      controller.signal.addEventListener('abort', () => resolve('cancelled'), { once: true });
+    });
+
+    flight.promise = Promise.resolve()
+      .then(() => walrusScraper.scrapeWalrusData(networkName, { signal: controller.signal, supplement }))
+      .then(data => {
+        if (controller.signal.aborted) return { data: null, outcome: 'cancelled' };
+        return { data: data || null, outcome: data ? 'completed' : 'failed' };
+      }, error => {
+        console.error(`❌ ${networkName} scrape failed:`, error.message);
+        return { data: null, outcome: controller.signal.aborted ? 'cancelled' : 'failed' };
+      })
+      .finally(() => {
+        if (this.flights[networkName] === flight) delete this.flights[networkName];
+      });
+
+    this.flights[networkName] = flight;
+    return flight;
+  }
+
+  // Cancel the network's scrape for every caller waiting on it
+  cancel(networkName) {
+    const flight = this.flights[networkName];
+    if (!flight) return false;
+
+    console.log(`🛑 Cancelling the ${networkName} scrape started by ${flight.caller}`);
+    flight.controller.abort();
+    delete this.flights[networkName];
+    return true;
+  }
+
+  isScraping(networkName) {
+    return Boolean(this.flights[networkName]);
+  }
+
+  // Scrapes in flight, for status and admin endpoints
+  getStatus() {
+    return Object.entries(this.flights).map(([network, flight]) => ({
+      network,
+      caller: flight.caller,
+      startedAt: flight.startedAt,
+      waiters: flight.waiters
+    }));
+  }
+}
+
+module.exports = new ScrapeCoordinator();
+module.exports.ScrapeCoordinator = ScrapeCoordinator;
@@ -0,0 +1,465 @@
+// Historical snapshot store: every validated scrape is written to SQLite with its full
+// payload, per-field provenance and dataSource, so pricing can be traced over time.
+// The cache only ever holds the latest value; this is the record of what came before.
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const provenance = require('../scrapers/provenance');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'snapshots.sqlite');
+
+// Where a snapshot came from: the daily scheduler, a scrape on a cache miss or an admin trigger
+const ORIGINS = ['scheduled', 'cache-miss', 'admin'];
+
+// Metrics served by history(): the SQL expression for the value and its unit
+const HISTORY_METRICS = {
+  storagePrice: { sql: 'storage_price', unit: 'FROST/MiB/EPOCH' },
+  writePrice: { sql: 'write_price', unit: 'FROST/MiB' },
+  'capacity.used': { sql: "json_extract(payload, '$.storageCapacity.used')", unit: 'TB' },
+  'capacity.percentage': { sql: "json_extract(payload, '$.storageCapacity.percentage')", unit: '%' },
+  epoch: { sql: 'epoch', unit: null }
+};
+
+// How points are grouped: raw snapshots, UTC hours or days, or Walrus epochs
+const HISTORY_INTERVALS = {
+  raw: null,
+  hourly: "strftime('%Y-%m-%dT%H:00:00Z', scraped_at)",
+  daily: "strftime('%Y-%m-%dT00:00:00Z', scraped_at)",
+  epoch: 'epoch'
+};
+
+// Generated rather than observed: 'estimated' is the estimator's output, 'fallback' the
+// last-known-good data served when nothing is cached
+const PLACEHOLDER_SOURCES = ['estimated', 'fallback'];
+
+// Applied in order on startup; each runs once, recorded in schema_migrations.
+// Never edit a shipped migration - add a new one.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create-snapshots',
+    sql: `
+      CREATE TABLE snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        network TEXT NOT NULL,
+        origin TEXT NOT NULL,
+        data_source TEXT NOT NULL,
+        scraped_at TEXT NOT NULL,
+        recorded_at TEXT NOT NULL,
+        storage_price INTEGER,
+        write_price INTEGER,
+        epoch INTEGER,
+        payload TEXT NOT NULL,
+        provenance TEXT NOT NULL
+      );
+      CREATE INDEX idx_snapshots_network_scraped_at ON snapshots (network, scraped_at);
+    `
+  },
+  {
+    version: 2,
+    name: 'create-quarantine',
+    sql: `
+      CREATE TABLE quarantine (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        network TEXT NOT NULL,
+        origin TEXT NOT NULL,
+        data_source TEXT NOT NULL,
+        scraped_at TEXT NOT NULL,
+        quarantined_at TEXT NOT NULL,
+        anomalies TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        reviewed_at TEXT
+      );
+      CREATE INDEX idx_quarantine_status_network ON quarantine (status, network);
+    `
+  }
+];
+
+// Review states of a quarantined scrape
+const QUARANTINE_STATUSES = ['pending', 'approved', 'rejected'];
+
+class SnapshotStore {
+  constructor(options = {}) {
+    this.file = options.file || process.env.SNAPSHOT_DB_PATH || DEFAULT_FILE;
+    this.enabled = options.enabled ?? process.env.SNAPSHOTS_ENABLED !== 'false';
+    this.db = null;
+    this.ready = null;
+  }
+
+  // Open the database and run pending migrations. Safe to call more than once; the
+  // store opens itself on first use if this was never called.
+  init() {
+    if (!this.enabled) return Promise.resolve(false);
+
+    // A failed open is retried on the next call
+    this.ready = this.ready || this.open().then(() => true, (error) => {
+      console.error('❌ Snapshot store unavailable:', error.message);
+      if (this.db) this.db.close();
+      this.db = null;
+      this.ready = null;
+      return false;
+    });
+    return this.ready;
+  }
+
+  async open() {
+    if (this.file !== ':memory:') {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.file, (error) => (error ? reject(error) : resolve(db)));
+    });
+    await this.migrate();
+    console.log(`🗄️ Snapshot store ready: ${this.file} (schema v${await this.getSchemaVersion()})`);
+  }
+
+  async migrate() {
+    await this.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )`);
+
+    const current = await this.getSchemaVersion();
+    for (const migration of MIGRATIONS.filter(m => m.version > current)) {
+      try {
+        await this.exec(`BEGIN;${migration.sql}`);
+        await this.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]);
+        await this.exec('COMMIT;');
+        console.log(`🗄️ Applied snapshot migration ${migration.version}: ${migration.name}`);
+      } catch (error) {
+        await this.exec('ROLLBACK;').catch(() => {});
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      }
+    }
+  }
+
+  async getSchemaVersion() {
+    const row = await this.get('SELECT MAX(version) AS version FROM schema_migrations');
+    return row?.version || 0;
+  }
+
+  // Persist one scrape; never throws, returns the snapshot id or null
+  async record(networkName, data, origin) {
+    if (!this.enabled || !data) return null;
+    if (!await this.init()) return null;
+
+    try {
+      const fieldProvenance = {};
+      provenance.PROVENANCE_FIELDS.forEach(field => {
+        if (data[field]?.provenance) {
+          fieldProvenance[field] = data[field].provenance;
+        }
+      });
+
+      const { lastID } = await this.run(
+        `INSERT INTO snapshots (network, origin, data_source, scraped_at, recorded_at,
+           storage_price, write_price, epoch, payload, provenance)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          networkName,
+          ORIGINS.includes(origin) ? origin : 'scheduled',
+          data.dataSource || 'unknown',
+          data.timestamp && new Date(data.timestamp).getTime() ? new Date(data.timestamp).toISOString() : new Date().toISOString(),
+          new Date().toISOString(),
+          data.storagePrice?.value ?? null,
+          data.writePrice?.value ?? null,
+          data.epoch?.number ?? null,
+          JSON.stringify(data),
+          JSON.stringify(fieldProvenance)
+        ]
+      );
+      console.log(`🗄️ Recorded ${networkName} snapshot #${lastID} (${origin})`);
+      return lastID;
+    } catch (error) {
+      console.error(`❌ Failed to record ${networkName} snapshot:`, error.message);
+      return null;
+    }
+  }
+
+  // Hold an anomalous scrape for review instead of recording it; returns the id or null
+  async quarantine(networkName, data, origin, anomalies) {
+    if (!this.enabled || !data) return null;
+    if (!await this.init()) return null;
+
+    try {
+      const { lastID } = await this.run(
+        `INSERT INTO quarantine (network, origin, data_source, scraped_at, quarantined_at, anomalies, payload)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          networkName,
+          ORIGINS.includes(origin) ? origin : 'scheduled',
+          data.dataSource || 'unknown',
+          data.timestamp && new Date(data.timestamp).getTime() ? new Date(data.timestamp).toISOString() : new Date().toISOString(),
+          new Date().toISOString(),
+          JSON.stringify(anomalies),
+          JSON.stringify(data)
+        ]
+      );
+      console.log(`🚧 Quarantined ${networkName} scrape #${lastID} (${origin})`);
+      return lastID;
+    } catch (error) {
+      console.error(`❌ Failed to quarantine ${networkName} scrape:`, error.message);
+      return null;
+    }
+  }
+
+  // Quarantined scrapes, newest first, optionally for one network or status
+  async listQuarantined({ network, status, limit = 100 } = {}) {
+    if (!await this.init()) return null;
+
+    const conditions = [];
+    const params = [];
+    if (network) {
+      conditions.push('network = ?');
+      params.push(network);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    const rows = await this.all(
+      `SELECT * FROM quarantine ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY quarantined_at DESC, id DESC LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(row => this.fromQuarantineRow(row));
+  }
+
+  async getQuarantined(id) {
+    if (!await this.init()) return null;
+
+    const row = await this.get('SELECT * FROM quarantine WHERE id = ?', [id]);
+    return row ? this.fromQuarantineRow(row) : null;
+  }
+
+  // Mark a pending scrape approved or rejected. Only one review wins: returns the updated
+  // entry, or null when it does not exist or was already reviewed.
+  async reviewQuarantined(id, status) {
+    if (!await this.init()) return null;
+
+    const { changes } = await this.run(
+      "UPDATE quarantine SET status = ?, reviewed_at = ? WHERE id = ? AND status = 'pending'",
+      [status, new Date().toISOString(), id]
+    );
+    return changes > 0 ? this.getQuarantined(id) : null;
+  }
+
+  // Snapshots for a network, newest first, with payload and provenance parsed
+  async list(networkName, { limit = 100 } = {}) {
+    if (!await this.init()) return [];
+
+    const rows = await this.all(
+      'SELECT * FROM snapshots WHERE network = ? ORDER BY scraped_at DESC, id DESC LIMIT ?',
+      [networkName, limit]
+    );
+    return rows.map(row => this.fromRow(row));
+  }
+
+  // Newest real observation of each field: { field: { value, observedAt } }. Placeholder
+  // snapshots, constant or estimated fields and inherited fields don't count.
+  async latestObservations(networkName, fields) {
+    if (!await this.init()) return {};
+
+    const observations = {};
+    for (const field of fields) {
+      const path = `$.${field}`;
+      const row = await this.get(
+        `SELECT json_extract(payload, ?) AS value, scraped_at FROM snapshots
+         WHERE network = ? AND data_source NOT IN (${PLACEHOLDER_SOURCES.map(() => '?').join(', ')})
+           AND json_type(payload, ?) = 'object'
+           AND json_extract(payload, ?) IS NULL
+           AND COALESCE(json_extract(payload, ?), '') NOT IN ('constant', 'estimated')
+         ORDER BY scraped_at DESC, id DESC LIMIT 1`,
+        [path, networkName, ...PLACEHOLDER_SOURCES, path, `${path}.inherited`, `${path}.provenance.strategy`]
+      );
+      if (row) {
+        const value = JSON.parse(row.value);
+        observations[field] = { value, observedAt: value.provenance?.observedAt || row.scraped_at };
+      }
+    }
+    return observations;
+  }
+
+  // The newest observed snapshots scraped before `to`, returned oldest first with payloads
+  // parsed. Placeholder snapshots are left out.
+  async observations(networkName, { to, limit = 1000 }) {
+    if (!await this.init()) return [];
+
+    const rows = await this.all(
+      `SELECT scraped_at, payload FROM snapshots
+       WHERE network = ? AND scraped_at <= ? AND data_source NOT IN (${PLACEHOLDER_SOURCES.map(() => '?').join(', ')})
+       ORDER BY scraped_at DESC, id DESC LIMIT ?`,
+      [networkName, to, ...PLACEHOLDER_SOURCES, limit]
+    );
+    return rows.reverse().map(row => ({ scrapedAt: row.scraped_at, data: JSON.parse(row.payload) }));
+  }
+
+  // Time series for one metric, oldest first. Placeholder points are left out unless
+  // includeEstimated is set, in which case they are marked. Pages follow an opaque cursor.
+  async history({ network, metric, interval, from, to, includeEstimated, cursor, limit }) {
+    if (!await this.init()) return null;
+
+    const value = HISTORY_METRICS[metric].sql;
+    const params = [network, from, to];
+    let where = `network = ? AND scraped_at >= ? AND scraped_at < ? AND ${value} IS NOT NULL`;
+    if (!includeEstimated) {
+      where += ` AND data_source NOT IN (${PLACEHOLDER_SOURCES.map(() => '?').join(', ')})`;
+      params.push(...PLACEHOLDER_SOURCES);
+    }
+    const placeholder = `data_source IN (${PLACEHOLDER_SOURCES.map(source => `'${source}'`).join(', ')})`;
+
+    if (interval === 'raw') {
+      if (cursor) {
+        where += ' AND (scraped_at, id) > (?, ?)';
+        params.push(cursor.t, cursor.id);
+      }
+      const rows = await this.all(
+        `SELECT id, scraped_at, data_source, ${value} AS value, ${placeholder} AS estimated
+         FROM snapshots WHERE ${where} ORDER BY scraped_at, id LIMIT ?`,
+        [...params, limit + 1]
+      );
+
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+      return {
+        points: page.map(row => ({
+          timestamp: row.scraped_at,
+          value: row.value,
+          dataSource: row.data_source,
+          ...(row.estimated && { estimated: true })
+        })),
+        nextCursor: rows.length > limit ? this.encodeCursor({ t: last.scraped_at, id: last.id }) : null
+      };
+    }
+
+    const bucket = HISTORY_INTERVALS[interval];
+    if (interval === 'epoch') {
+      where += ' AND epoch IS NOT NULL';
+    }
+    const rows = await this.all(
+      `WITH points AS (
+         SELECT ${bucket} AS bucket, scraped_at, ${value} AS value, ${placeholder} AS estimated,
+           ROW_NUMBER() OVER (PARTITION BY ${bucket} ORDER BY scraped_at DESC, id DESC) AS recency
+         FROM snapshots WHERE ${where}
+       )
+       SELECT bucket, MIN(scraped_at) AS first_at, MAX(scraped_at) AS last_at, COUNT(*) AS count,
+         MIN(value) AS min, MAX(value) AS max, AVG(value) AS avg,
+         MAX(CASE WHEN recency = 1 THEN value END) AS last, SUM(estimated) AS estimated
+       FROM points ${cursor ? 'WHERE bucket > ?' : ''}
+       GROUP BY bucket ORDER BY bucket LIMIT ?`,
+      [...params, ...(cursor ? [cursor.b] : []), limit + 1]
+    );
+
+    const page = rows.slice(0, limit);
+    return {
+      points: page.map(row => ({
+        bucket: row.bucket,
+        firstAt: row.first_at,
+        lastAt: row.last_at,
+        count: row.count,
+        min: row.min,
+        max: row.max,
+        avg: parseFloat(row.avg.toFixed(4)),
+        last: row.last,
+        ...(row.estimated > 0 && { estimatedPoints: row.estimated })
+      })),
+      nextCursor: rows.length > limit ? this.encodeCursor({ b: page[page.length - 1].bucket }) : null
+    };
+  }
+
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  // Cursor for the interval it was issued for, or null when it is malformed
+  decodeCursor(cursor, interval) {
+    try {
+      const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (interval === 'raw') {
+        return typeof position.t === 'string' && Number.isInteger(position.id) ? position : null;
+      }
+      const validBucket = interval === 'epoch' ? Number.isInteger(position.b) : typeof position.b === 'string';
+      return validBucket ? position : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      network: row.network,
+      origin: row.origin,
+      dataSource: row.data_source,
+      scrapedAt: row.scraped_at,
+      recordedAt: row.recorded_at,
+      storagePrice: row.storage_price,
+      writePrice: row.write_price,
+      epoch: row.epoch,
+      data: JSON.parse(row.payload),
+      provenance: JSON.parse(row.provenance)
+    };
+  }
+
+  fromQuarantineRow(row) {
+    return {
+      id: row.id,
+      network: row.network,
+      origin: row.origin,
+      dataSource: row.data_source,
+      scrapedAt: row.scraped_at,
+      quarantinedAt: row.quarantined_at,
+      status: row.status,
+      reviewedAt: row.reviewed_at,
+      anomalies: JSON.parse(row.anomalies),
+      data: JSON.parse(row.payload)
+    };
+  }
+
+  async close() {
+    const db = this.db;
+    this.db = null;
+    this.ready = null;
+    if (db) {
+      await new Promise(resolve => db.close(() => resolve()));
+    }
+  }
+
+  // Promise wrappers around the sqlite3 callback API
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (error) {
+        return error ? reject(error) : resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+  }
+
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+module.exports = new SnapshotStore();
+module.exports.SnapshotStore = SnapshotStore;
+module.exports.MIGRATIONS = MIGRATIONS;
+module.exports.HISTORY_METRICS = HISTORY_METRICS;
+module.exports.HISTORY_INTERVALS = HISTORY_INTERVALS;
+module.exports.QUARANTINE_STATUSES = QUARANTINE_STATUSES;
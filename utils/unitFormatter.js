@@ -0,0 +1,139 @@
+// Unit conversion and locale formatting for price and capacity fields
+// Stored values are always FROST per MiB (per epoch for storage) and TB; the requested
+// units only add a `converted` block next to them, so raw values never change meaning.
+
+const PRICE_UNITS = { FROST: 1, WAL: 1e9 };
+// Size units prices are quoted per, in MiB
+const SIZE_UNITS = { MiB: 1, GiB: 1024, TiB: 1024 ** 2 };
+// Capacity units, in TB (decimal, as the network reports them)
+const CAPACITY_UNITS = { TB: 1, PB: 1e3 };
+const PERIODS = ['epoch', 'year'];
+const SECONDS_PER_YEAR = 365 * 86400;
+
+const DEFAULT_OPTIONS = {
+  priceUnit: 'FROST',
+  sizeUnit: 'MiB',
+  period: 'epoch',
+  capacityUnit: 'TB',
+  locale: 'en-US'
+};
+
+// Query parameter -> accepted values, matched case-insensitively
+const CHOICES = {
+  priceUnit: Object.keys(PRICE_UNITS),
+  sizeUnit: Object.keys(SIZE_UNITS),
+  period: PERIODS,
+  capacityUnit: Object.keys(CAPACITY_UNITS)
+};
+
+class UnitFormatter {
+  // Options from ?priceUnit=, ?sizeUnit=, ?period=, ?capacityUnit= and ?locale=.
+  // Returns { options } (null when none are given) or { error } for an invalid value.
+  parseOptions(query) {
+    const names = [...Object.keys(CHOICES), 'locale'];
+    if (!names.some(name => query[name] !== undefined)) {
+      return { options: null };
+    }
+
+    const options = { ...DEFAULT_OPTIONS };
+    for (const [name, choices] of Object.entries(CHOICES)) {
+      if (query[name] === undefined) continue;
+
+      const requested = typeof query[name] === 'string' ? query[name].trim().toLowerCase() : '';
+      const match = choices.find(choice => choice.toLowerCase() === requested);
+      if (!match) {
+        return { error: `${name} must be one of: ${choices.join(', ')}` };
+      }
+      options[name] = match;
+    }
+
+    if (query.locale !== undefined) {
+      const locale = this.resolveLocale(query.locale);
+      if (!locale) {
+        return { error: 'locale must be a supported BCP 47 language tag such as en-US or de-DE' };
+      }
+      options.locale = locale;
+    }
+
+    return { options };
+  }
+
+  // Canonical locale tag, or null when it is malformed or not supported
+  resolveLocale(locale) {
+    if (typeof locale !== 'string' || !locale.trim() || locale.length > 35) return null;
+    try {
+      return Intl.NumberFormat.supportedLocalesOf(locale.trim())[0] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Price in FROST per MiB (per epoch when epochSeconds is given) in the requested units.
+  // Write prices are one-off, so only storage prices take a period.
+  convertPrice(frostPerMiB, options, epochSeconds) {
+    let value = (frostPerMiB / PRICE_UNITS[options.priceUnit]) * SIZE_UNITS[options.sizeUnit];
+    let unit = `${options.priceUnit}/${options.sizeUnit}`;
+
+    if (epochSeconds) {
+      if (options.period === 'year') {
+        value *= SECONDS_PER_YEAR / epochSeconds;
+      }
+      unit += `/${options.period.toUpperCase()}`;
+    }
+
+    return this.converted(value, unit, options.locale);
+  }
+
+  // FROST amount (e.g. a cost quote total) in the requested price unit
+  convertAmount(frost, options) {
+    return this.converted(frost / PRICE_UNITS[options.priceUnit], options.priceUnit, options.locale);
+  }
+
+  // Used / total capacity in TB, in the requested capacity unit
+  convertCapacity(capacity, options) {
+    const factor = CAPACITY_UNITS[options.capacityUnit];
+    const converted = { unit: options.capacityUnit };
+
+    ['used', 'total'].forEach(key => {
+      if (typeof capacity[key] === 'number') {
+        converted[key] = this.round(capacity[key] / factor);
+      }
+    });
+
+    if (converted.used !== undefined && converted.total !== undefined) {
+      // Three decimals keep TB precision when shown in PB
+      converted.display = `${this.formatNumber(converted.used, options.locale, 3)} / ` +
+        `${this.formatNumber(converted.total, options.locale, 3)} ${options.capacityUnit}`;
+    }
+    return converted;
+  }
+
+  // "644 / 4,167 TB" from TB values - the one place capacity display strings are built
+  formatCapacity(used, total, locale = DEFAULT_OPTIONS.locale) {
+    return `${this.formatNumber(used, locale)} / ${this.formatNumber(total, locale)} TB`;
+  }
+
+  converted(value, unit, locale) {
+    const rounded = this.round(value);
+    return { value: rounded, unit, display: `${this.formatNumber(rounded, locale)} ${unit}` };
+  }
+
+  // Drops float noise: six decimals for large values (FROST per TiB runs to billions),
+  // six significant digits for fractions of a WAL
+  round(value) {
+    return Math.abs(value) >= 1 ? parseFloat(value.toFixed(6)) : parseFloat(value.toPrecision(6));
+  }
+
+  // Whole-ish numbers get grouping and a few decimals at most; small fractions keep three
+  // significant digits so sub-cent prices don't round to zero
+  formatNumber(value, locale = DEFAULT_OPTIONS.locale, fractionDigits = 2) {
+    const format = value === 0 || Math.abs(value) >= 1
+      ? { maximumFractionDigits: fractionDigits }
+      : { maximumSignificantDigits: 3 };
+    return value.toLocaleString(locale, format);
+  }
+}
+
+module.exports = new UnitFormatter();
+module.exports.UnitFormatter = UnitFormatter;
+module.exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;